@@ -0,0 +1,119 @@
+// analytics-buffer.js
+// Analytics events are written in batches, off the request path. Tracking an
+// event only adds it to a buffer in memory; the buffer is written in one
+// transaction once it holds ANALYTICS_FLUSH_SIZE events (default 100) or every
+// ANALYTICS_FLUSH_SECONDS (default 5), whichever comes first, and again on
+// shutdown. A crash loses what was still buffered, which analytics can
+// afford; puzzles, progress and solves are never buffered.
+//
+// An event whose sender already has a stored or buffered event with the same
+// client eventId is dropped, so a client can resend a batch it isn't sure
+// arrived. The sender is the event's user_id, which is fixed by the day the
+// event happened, so a resend on a later day still matches. Other senders'
+// eventIds don't matter: nobody can get someone else's events dropped by
+// sending their eventIds first.
+
+const ANALYTICS_FLUSH_SIZE = parseInt(process.env.ANALYTICS_FLUSH_SIZE || '100', 10);
+const ANALYTICS_FLUSH_SECONDS = parseInt(process.env.ANALYTICS_FLUSH_SECONDS || '5', 10);
+
+if (!Number.isInteger(ANALYTICS_FLUSH_SIZE) || ANALYTICS_FLUSH_SIZE < 1) {
+  throw new Error(`ANALYTICS_FLUSH_SIZE must be a whole number of events from 1, got ${process.env.ANALYTICS_FLUSH_SIZE}`);
+}
+if (!Number.isInteger(ANALYTICS_FLUSH_SECONDS) || ANALYTICS_FLUSH_SECONDS < 1) {
+  throw new Error(`ANALYTICS_FLUSH_SECONDS must be a whole number of seconds from 1, got ${process.env.ANALYTICS_FLUSH_SECONDS}`);
+}
+
+// While writes keep failing the buffer keeps the newest events up to this
+const MAX_BUFFERED_EVENTS = 10000;
+
+const createAnalyticsBuffer = (db) => {
+  const statements = {
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO analytics
+        (event_type, user_id, puzzle_date, puzzle_level, user_agent, ip_address, metadata, timestamp, received_at, client_event_id)
+      VALUES
+        (@eventType, @userId, @puzzleDate, @puzzleLevel, @userAgent, @ipAddress, @metadata, @timestamp, @receivedAt, @clientEventId)
+    `),
+    hasEventId: db.prepare('SELECT 1 FROM analytics WHERE user_id = ? AND client_event_id = ?')
+  };
+
+  let pending = [];
+  const pendingIds = new Set();
+  const eventKey = (event) => `${event.userId}\n${event.clientEventId}`;
+  let flushScheduled = false;
+  let timer = null;
+
+  const writeAll = db.transaction((events) => {
+    events.forEach(event => statements.insert.run(event));
+  });
+
+  // Write everything buffered, returning how many events that was. If the
+  // write fails the events stay buffered for the next flush.
+  const flush = () => {
+    if (pending.length === 0) return 0;
+
+    writeAll(pending);
+    const written = pending.length;
+    pending = [];
+    pendingIds.clear();
+    return written;
+  };
+
+  const flushQuietly = () => {
+    flushScheduled = false;
+    try {
+      flush();
+    } catch (error) {
+      console.error('Analytics flush error:', error);
+    }
+  };
+
+  // Buffer an event: the analytics row's columns, camelCased. Returns false
+  // if its sender has sent its clientEventId before.
+  const push = (event) => {
+    if (event.clientEventId) {
+      if (pendingIds.has(eventKey(event)) || statements.hasEventId.get(event.userId, event.clientEventId)) return false;
+      pendingIds.add(eventKey(event));
+    }
+
+    pending.push(event);
+
+    if (pending.length > MAX_BUFFERED_EVENTS) {
+      const dropped = pending.shift();
+      if (dropped.clientEventId) pendingIds.delete(eventKey(dropped));
+    }
+
+    // Written after the response goes, not while the request waits
+    if (pending.length >= ANALYTICS_FLUSH_SIZE && !flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flushQuietly);
+    }
+
+    return true;
+  };
+
+  const start = () => {
+    if (!timer) timer = setInterval(flushQuietly, ANALYTICS_FLUSH_SECONDS * 1000).unref();
+  };
+
+  // Stop the timer and write what is left, for shutdown
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    flushQuietly();
+  };
+
+  return {
+    push,
+    flush,
+    start,
+    stop,
+    size: () => pending.length
+  };
+};
+
+module.exports = {
+  ANALYTICS_FLUSH_SIZE,
+  ANALYTICS_FLUSH_SECONDS,
+  createAnalyticsBuffer
+};
@@ -0,0 +1,220 @@
+// analytics-dashboard.js
+// The analytics dashboard: one server-rendered HTML page, charts drawn as
+// inline SVG, so it needs no JavaScript and nothing from a CDN. It shows what
+// GET /api/analytics/stats and /api/analytics/puzzles return for a range,
+// with links to export the same range (see analytics-export.js).
+
+const { LEVEL_NAMES, formatDuration } = require('./share-card');
+const { addDays } = require('./release-clock');
+const { EXPORT_SOURCES, ANALYTICS_EXPORT_FORMATS } = require('./analytics-export');
+
+const COLORS = {
+  background: '#f9fafb',
+  panel: '#ffffff',
+  text: '#111827',
+  muted: '#6b7280',
+  grid: '#e5e7eb',
+  bar: '#2563eb',
+  accent: '#16a34a'
+};
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 200;
+const BAR_ROW_HEIGHT = 24;
+const BAR_LABEL_WIDTH = 180;
+
+const escapeHtml = (value) => String(value).replace(/[<>&'"]/g, c => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' }[c]
+));
+
+const formatNumber = (value) => Number(value).toLocaleString('en-US');
+
+const formatPercent = (ratio) => (ratio === null ? '–' : `${Math.round(ratio * 100)}%`);
+
+// Every day from..to with its visitors (0 for days nobody came)
+const fillDays = (from, to, days) => {
+  const visitors = new Map(days.map(day => [day.date, day.visitors]));
+  const filled = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    filled.push({ label: date, value: visitors.get(date) || 0 });
+  }
+  return filled;
+};
+
+// Vertical bars, one per point, labelled at both ends of the axis
+const columnChart = (points) => {
+  if (points.length === 0) return '<p class="empty">No data</p>';
+
+  const top = 16;
+  const bottom = 24;
+  const plotHeight = CHART_HEIGHT - top - bottom;
+  const max = Math.max(1, ...points.map(point => point.value));
+  const step = CHART_WIDTH / points.length;
+  const barWidth = Math.max(1, step * 0.8);
+
+  const bars = points.map((point, i) => {
+    const height = (point.value / max) * plotHeight;
+    const x = (i * step + (step - barWidth) / 2).toFixed(1);
+    const y = (top + plotHeight - height).toFixed(1);
+    return `<rect x="${x}" y="${y}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" fill="${COLORS.bar}"><title>${escapeHtml(point.label)}: ${formatNumber(point.value)}</title></rect>`;
+  });
+
+  const axisY = top + plotHeight;
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Daily visitors">
+    <line x1="0" y1="${axisY}" x2="${CHART_WIDTH}" y2="${axisY}" stroke="${COLORS.grid}"/>
+    <text x="0" y="${top - 4}" font-size="11" fill="${COLORS.muted}">${formatNumber(max)}</text>
+    ${bars.join('\n    ')}
+    <text x="0" y="${CHART_HEIGHT - 6}" font-size="11" fill="${COLORS.muted}">${escapeHtml(points[0].label)}</text>
+    <text x="${CHART_WIDTH}" y="${CHART_HEIGHT - 6}" font-size="11" fill="${COLORS.muted}" text-anchor="end">${escapeHtml(points[points.length - 1].label)}</text>
+  </svg>`;
+};
+
+// Horizontal bars, one labelled row per item, largest first as given
+const barList = (items, label) => {
+  if (items.length === 0) return '<p class="empty">No data</p>';
+
+  const max = Math.max(1, ...items.map(item => item.value));
+  const barSpace = CHART_WIDTH - BAR_LABEL_WIDTH - 80;
+  const height = items.length * BAR_ROW_HEIGHT;
+
+  const rows = items.map((item, i) => {
+    const y = i * BAR_ROW_HEIGHT;
+    const width = Math.max(1, (item.value / max) * barSpace);
+    return `<text x="${BAR_LABEL_WIDTH - 8}" y="${y + 16}" font-size="12" text-anchor="end" fill="${COLORS.text}">${escapeHtml(item.label)}</text>
+    <rect x="${BAR_LABEL_WIDTH}" y="${y + 4}" width="${width.toFixed(1)}" height="${BAR_ROW_HEIGHT - 8}" fill="${COLORS.bar}"/>
+    <text x="${(BAR_LABEL_WIDTH + width + 6).toFixed(1)}" y="${y + 16}" font-size="12" fill="${COLORS.muted}">${escapeHtml(item.note || formatNumber(item.value))}</text>`;
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(label)}">
+    ${rows.join('\n    ')}
+  </svg>`;
+};
+
+const puzzleLabel = (date, level) => (level ? `${date} ${LEVEL_NAMES[level] || level}` : date);
+
+const engagementTable = (puzzles) => {
+  if (puzzles.length === 0) return '<p class="empty">No puzzle events in this range</p>';
+
+  const rows = puzzles.map(puzzle => `<tr>
+        <td>${escapeHtml(puzzleLabel(puzzle.date, puzzle.level))}</td>
+        <td>${formatNumber(puzzle.players)}</td>
+        <td>${formatPercent(puzzle.completionRate)}</td>
+        <td>${puzzle.medianSolveSeconds === null ? '–' : formatDuration(Math.round(puzzle.medianSolveSeconds))}</td>
+        <td>${formatPercent(puzzle.hints.share)}</td>
+        <td>${formatPercent(puzzle.dropOff.beforeAttempt)}</td>
+        <td>${formatPercent(puzzle.dropOff.afterAttempt)}</td>
+      </tr>`);
+
+  return `<table>
+      <thead><tr><th>Puzzle</th><th>Players</th><th>Solved</th><th>Median time</th><th>Used hints</th><th>Left before trying</th><th>Left after trying</th></tr></thead>
+      <tbody>
+      ${rows.join('\n      ')}
+      </tbody>
+    </table>`;
+};
+
+const exportLinks = ({ from, to, level }) => EXPORT_SOURCES.map(source => {
+  const links = Object.keys(ANALYTICS_EXPORT_FORMATS).map(format => {
+    const query = new URLSearchParams({ source, format, from, to, ...(level ? { level } : {}) });
+    return `<a href="export?${escapeHtml(query.toString())}">${format.toUpperCase()}</a>`;
+  });
+  return `<li>${escapeHtml(source)}: ${links.join(' · ')}</li>`;
+}).join('\n      ');
+
+// `stats` is what analytics-rollups.js stats() returns and `engagement` what
+// puzzle-engagement.js puzzleReport() returns, for the same from/to/level
+const renderDashboard = ({ from, to, level, stats, engagement }) => {
+  const levelOptions = [['', 'All levels'], ...Object.entries(LEVEL_NAMES)]
+    .map(([value, name]) => `<option value="${value}"${value === (level || '') ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+
+  const tiles = [
+    ['Visitors', stats.totals.totalVisitors],
+    ['Events', stats.totals.totalEvents],
+    ['Active days', stats.totals.activeDays],
+    ['Visitors today', stats.today.visitors]
+  ].map(([name, value]) => `<div class="tile"><div class="value">${formatNumber(value)}</div><div>${name}</div></div>`).join('\n      ');
+
+  const eventTypes = stats.eventTypes.map(row => ({
+    label: row.event_type,
+    value: row.count,
+    note: `${formatNumber(row.count)} (${formatNumber(row.uniqueUsers)} visitors)`
+  }));
+
+  const popular = stats.popularPuzzles.map(row => ({
+    label: puzzleLabel(row.puzzle_date, row.puzzle_level),
+    value: row.accesses,
+    note: `${formatNumber(row.accesses)} views (${formatNumber(row.uniqueUsers)} visitors)`
+  }));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>GramGrid analytics ${escapeHtml(from)} to ${escapeHtml(to)}</title>
+  <style>
+    body { margin: 0; padding: 1.5rem; background: ${COLORS.background}; color: ${COLORS.text}; font-family: system-ui, sans-serif; }
+    main { max-width: 60rem; margin: 0 auto; }
+    section { background: ${COLORS.panel}; border: 1px solid ${COLORS.grid}; border-radius: 8px; padding: 1rem 1.25rem; margin-bottom: 1rem; }
+    h1 { font-size: 1.5rem; }
+    h2 { font-size: 1.1rem; margin-top: 0; }
+    form { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: end; }
+    label { display: flex; flex-direction: column; font-size: 0.85rem; color: ${COLORS.muted}; }
+    .tiles { display: grid; grid-template-columns: repeat(auto-fit, minmax(10rem, 1fr)); gap: 1rem; }
+    .tile .value { font-size: 1.75rem; font-weight: 600; color: ${COLORS.accent}; }
+    svg { width: 100%; height: auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: right; padding: 0.3rem 0.5rem; border-bottom: 1px solid ${COLORS.grid}; }
+    th:first-child, td:first-child { text-align: left; }
+    .empty, .note { color: ${COLORS.muted}; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>GramGrid analytics</h1>
+    <section>
+      <form method="get">
+        <label>From <input type="date" name="from" value="${escapeHtml(from)}"></label>
+        <label>To <input type="date" name="to" value="${escapeHtml(to)}"></label>
+        <label>Level <select name="level">${levelOptions}</select></label>
+        <button type="submit">Show</button>
+      </form>
+    </section>
+    <section class="tiles">
+      ${tiles}
+    </section>
+    <section>
+      <h2>Daily visitors</h2>
+      ${columnChart(fillDays(from, to, stats.dailyVisitors))}
+    </section>
+    <section>
+      <h2>Events by type</h2>
+      ${barList(eventTypes, 'Events by type')}
+    </section>
+    <section>
+      <h2>Most viewed puzzles</h2>
+      ${barList(popular, 'Most viewed puzzles')}
+    </section>
+    <section>
+      <h2>Puzzle engagement</h2>
+      <p class="note">For puzzles dated in this range.</p>
+      ${engagementTable(engagement.puzzles)}
+    </section>
+    <section>
+      <h2>Export this range</h2>
+      <ul>
+      ${exportLinks({ from, to, level })}
+      </ul>
+    </section>
+    <p class="note">Days are UTC. Visitors are counted per day, so a visitor who comes back on another day counts again.
+      Counts were last updated ${escapeHtml(stats.rollupsUpdatedAt)} UTC.</p>
+  </main>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderDashboard
+};
@@ -0,0 +1,161 @@
+// analytics-events.js
+// The events the game client may send to POST /api/analytics/event. Each type
+// says whether it is about a puzzle (and so needs puzzleDate and level) and
+// which metadata fields it takes; anything else in metadata is refused, so
+// reports can rely on what they read. puzzle_accessed predates the schema and
+// keeps whatever metadata old clients send.
+//
+//   puzzle_started  the player opened the puzzle and began
+//   hint_used       hintsUsed: hints taken so far
+//   attempt         correct: whether a full grid was right; filled: cells filled
+//   solved          elapsedSeconds, hintsUsed, attempts
+//   abandoned       the player left unsolved; elapsedSeconds, filled
+//
+// Any event may also carry an eventId, so a client can resend it safely, and
+// the timestamp it happened at, so events queued while offline land at the
+// right time. Events older than ANALYTICS_MAX_EVENT_AGE_HOURS (default 72)
+// are refused; the limit must stay inside the retention window, since older
+// events could no longer be tied to a day's pseudonyms or erased.
+
+const { isValidDate, isValidLevel } = require('./puzzle-validator');
+const { ANALYTICS_RETENTION_DAYS } = require('./analytics-privacy');
+
+const ANALYTICS_MAX_EVENT_AGE_HOURS = parseInt(process.env.ANALYTICS_MAX_EVENT_AGE_HOURS || '72', 10);
+
+if (!Number.isInteger(ANALYTICS_MAX_EVENT_AGE_HOURS) || ANALYTICS_MAX_EVENT_AGE_HOURS < 0 || ANALYTICS_MAX_EVENT_AGE_HOURS >= ANALYTICS_RETENTION_DAYS * 24) {
+  throw new Error(`ANALYTICS_MAX_EVENT_AGE_HOURS must be a whole number of hours below the retention window (${ANALYTICS_RETENTION_DAYS * 24}), got ${process.env.ANALYTICS_MAX_EVENT_AGE_HOURS}`);
+}
+
+// How far ahead of the server's clock a client's may run. Timestamps within
+// it are taken as now.
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const EVENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Most events POST /api/analytics/events takes at once
+const MAX_BATCH_EVENTS = 100;
+
+// A day, which is longer than any honest solve
+const MAX_EVENT_SECONDS = 24 * 60 * 60;
+
+// Timestamps as SQLite's CURRENT_TIMESTAMP writes them
+const toTimestamp = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+// When a client event happened: its timestamp, or now without one
+const eventTime = (timestamp, now = new Date()) => {
+  if (timestamp === undefined || timestamp === null) return now;
+  const time = new Date(timestamp);
+  return time > now ? now : time;
+};
+
+const FIELD_TYPES = {
+  count: {
+    check: (value) => Number.isInteger(value) && value >= 0,
+    message: 'must be a whole number from 0'
+  },
+  seconds: {
+    check: (value) => Number.isInteger(value) && value >= 0 && value <= MAX_EVENT_SECONDS,
+    message: `must be a whole number of seconds from 0 to ${MAX_EVENT_SECONDS}`
+  },
+  boolean: {
+    check: (value) => typeof value === 'boolean',
+    message: 'must be true or false'
+  }
+};
+
+// metadata: null accepts any metadata object
+const EVENT_TYPES = {
+  puzzle_accessed: { puzzle: false, metadata: null },
+  puzzle_started: { puzzle: true, metadata: {} },
+  hint_used: {
+    puzzle: true,
+    metadata: { hintsUsed: { type: 'count' } }
+  },
+  attempt: {
+    puzzle: true,
+    metadata: { correct: { type: 'boolean', required: true }, filled: { type: 'count' } }
+  },
+  solved: {
+    puzzle: true,
+    metadata: {
+      elapsedSeconds: { type: 'seconds', required: true },
+      hintsUsed: { type: 'count', required: true },
+      attempts: { type: 'count' }
+    }
+  },
+  abandoned: {
+    puzzle: true,
+    metadata: { elapsedSeconds: { type: 'seconds' }, filled: { type: 'count' } }
+  }
+};
+
+// Check a client event, in the validator's { valid, errors: [{ field, message }] }
+// shape
+const validateEvent = ({ eventType, puzzleDate, level, metadata, timestamp, eventId }, now = new Date()) => {
+  const schema = EVENT_TYPES[eventType];
+  if (!schema) {
+    return {
+      valid: false,
+      errors: [{ field: 'eventType', message: `eventType must be one of ${Object.keys(EVENT_TYPES).join(', ')}` }]
+    };
+  }
+
+  const errors = [];
+
+  if (eventId !== undefined && (typeof eventId !== 'string' || !EVENT_ID_PATTERN.test(eventId))) {
+    errors.push({ field: 'eventId', message: 'eventId must be 8 to 64 letters, digits, - or _' });
+  }
+
+  if (timestamp !== undefined) {
+    const time = typeof timestamp === 'string' ? new Date(timestamp) : null;
+    if (!time || isNaN(time)) {
+      errors.push({ field: 'timestamp', message: 'timestamp must be an ISO 8601 date and time' });
+    } else if (time - now > MAX_CLOCK_SKEW_MS) {
+      errors.push({ field: 'timestamp', message: 'timestamp is in the future' });
+    } else if (now - time > ANALYTICS_MAX_EVENT_AGE_HOURS * 60 * 60 * 1000) {
+      errors.push({ field: 'timestamp', message: `Events older than ${ANALYTICS_MAX_EVENT_AGE_HOURS} hours are not accepted` });
+    }
+  }
+
+  if (puzzleDate !== undefined && puzzleDate !== null ? !isValidDate(puzzleDate) : schema.puzzle) {
+    errors.push({ field: 'puzzleDate', message: 'puzzleDate must be a date (YYYY-MM-DD)' });
+  }
+  if (level !== undefined && level !== null ? !isValidLevel(level) : schema.puzzle) {
+    errors.push({ field: 'level', message: 'level must be CL (Classic) or CH (Challenge)' });
+  }
+
+  if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+    errors.push({ field: 'metadata', message: 'metadata must be an object' });
+    return { valid: false, errors };
+  }
+
+  if (schema.metadata) {
+    const fields = metadata || {};
+
+    for (const [name, { type, required }] of Object.entries(schema.metadata)) {
+      if (fields[name] === undefined) {
+        if (required) errors.push({ field: `metadata.${name}`, message: `${name} is required for ${eventType}` });
+      } else if (!FIELD_TYPES[type].check(fields[name])) {
+        errors.push({ field: `metadata.${name}`, message: `${name} ${FIELD_TYPES[type].message}` });
+      }
+    }
+
+    for (const name of Object.keys(fields)) {
+      if (!schema.metadata[name]) {
+        errors.push({ field: `metadata.${name}`, message: `${eventType} has no ${name} field` });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  ANALYTICS_MAX_EVENT_AGE_HOURS,
+  MAX_BATCH_EVENTS,
+  MAX_EVENT_SECONDS,
+  EVENT_TYPES,
+  toTimestamp,
+  eventTime,
+  validateEvent
+};
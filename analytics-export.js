@@ -0,0 +1,114 @@
+// analytics-export.js
+// Analytics out of the database as CSV or NDJSON, for GET /api/analytics/export.
+// The source is the raw events (while they last, see analytics-privacy.js) or
+// one of the rollups (see analytics-rollups.js):
+//
+//   events    one row per event; user_id is the day's pseudonym
+//   hourly    events and visitors per hour, for all events and per level
+//   visitors  the same per day
+//   daily     events and visitors per day, event type and level
+//   puzzles   the same per day and puzzle
+//
+// from and to are UTC days and level keeps rows about one level. Rows come out
+// a page at a time, like puzzle exports, so the connection is free between
+// pages.
+
+const { formatCSVRow } = require('./csv');
+const { EXPORT_FORMATS } = require('./puzzle-export');
+const { addDays } = require('./release-clock');
+
+const ANALYTICS_EXPORT_FORMATS = { csv: EXPORT_FORMATS.csv, ndjson: EXPORT_FORMATS.ndjson };
+
+const PAGE_SIZE = 1000;
+
+// Each source's columns in output order and its query for one page. Raw
+// events page by id; the rollups are small enough to page by offset.
+const SOURCES = {
+  events: {
+    columns: ['id', 'timestamp', 'received_at', 'event_type', 'user_id', 'puzzle_date', 'puzzle_level', 'user_agent', 'ip_address', 'metadata'],
+    sql: `
+      SELECT id, timestamp, received_at, event_type, user_id, puzzle_date, puzzle_level, user_agent, ip_address, metadata
+      FROM analytics
+      WHERE timestamp >= @from AND timestamp < @end AND (@level IS NULL OR puzzle_level = @level) AND id > @after
+      ORDER BY id
+      LIMIT ${PAGE_SIZE}
+    `
+  },
+  hourly: {
+    columns: ['hour', 'scope', 'events', 'visitors'],
+    sql: `
+      SELECT hour, scope, events, visitors FROM analytics_hourly
+      WHERE hour >= @from AND hour < @end AND (@level IS NULL OR scope = @level)
+      ORDER BY hour, scope
+      LIMIT ${PAGE_SIZE} OFFSET @offset
+    `
+  },
+  visitors: {
+    columns: ['day', 'scope', 'events', 'visitors'],
+    sql: `
+      SELECT day, scope, events, visitors FROM analytics_daily_visitors
+      WHERE day BETWEEN @from AND @to AND (@level IS NULL OR scope = @level)
+      ORDER BY day, scope
+      LIMIT ${PAGE_SIZE} OFFSET @offset
+    `
+  },
+  daily: {
+    columns: ['day', 'event_type', 'puzzle_level', 'events', 'visitors'],
+    sql: `
+      SELECT day, event_type, puzzle_level, events, visitors FROM analytics_daily
+      WHERE day BETWEEN @from AND @to AND (@level IS NULL OR puzzle_level = @level)
+      ORDER BY day, event_type, puzzle_level
+      LIMIT ${PAGE_SIZE} OFFSET @offset
+    `
+  },
+  puzzles: {
+    columns: ['day', 'puzzle_date', 'puzzle_level', 'event_type', 'events', 'visitors'],
+    sql: `
+      SELECT day, puzzle_date, puzzle_level, event_type, events, visitors FROM analytics_daily_puzzles
+      WHERE day BETWEEN @from AND @to AND (@level IS NULL OR puzzle_level = @level)
+      ORDER BY day, puzzle_date, puzzle_level, event_type
+      LIMIT ${PAGE_SIZE} OFFSET @offset
+    `
+  }
+};
+
+const EXPORT_SOURCES = Object.keys(SOURCES);
+
+function* sourceRows(db, source, { from, to, level = null }) {
+  const page = db.prepare(SOURCES[source].sql);
+  const params = { from, to, end: addDays(to, 1), level };
+
+  let after = 0;
+  let offset = 0;
+  for (;;) {
+    const rows = page.all({ ...params, ...(source === 'events' ? { after } : { offset }) });
+    yield* rows;
+    if (rows.length < PAGE_SIZE) return;
+
+    after = rows[rows.length - 1].id;
+    offset += rows.length;
+  }
+}
+
+// The export as a sequence of strings to write out in order
+function* exportAnalytics(db, source, filters, format) {
+  const { columns } = SOURCES[source];
+
+  if (format === 'csv') {
+    yield formatCSVRow(columns);
+    for (const row of sourceRows(db, source, filters)) {
+      yield formatCSVRow(columns.map(column => row[column]));
+    }
+    return;
+  }
+
+  for (const row of sourceRows(db, source, filters)) {
+    yield `${JSON.stringify(row.metadata === undefined ? row : { ...row, metadata: JSON.parse(row.metadata || 'null') })}\n`;
+  }
+}
+
+module.exports = {
+  ANALYTICS_EXPORT_FORMATS,
+  EXPORT_SOURCES,
+  exportAnalytics
+};
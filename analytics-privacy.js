@@ -0,0 +1,187 @@
+// analytics-privacy.js
+// Analytics count visits, not visitors. What an event stores about its sender:
+//
+//   user_id     a pseudonym: an HMAC of the player's public ID (or, without a
+//               player token, their IP address and browser) keyed with a random
+//               salt that changes every UTC day. Events can be counted per
+//               person within a day but not followed from one day to the next.
+//   ip_address  ANALYTICS_IP_MODE 'truncate' (default) keeps only the network:
+//               the last IPv4 octet, or all but the first 48 bits of an IPv6
+//               address, are zeroed. 'none' stores no address at all.
+//   user_agent  only the browser family and platform, e.g. 'Firefox Android'
+//
+// A day's salt is kept for as long as its events, so a player can still have
+// their events found and erased. Events sent without a player token can't be:
+// nothing proves who sent them. After ANALYTICS_RETENTION_DAYS the retention
+// job deletes the raw events and the salt together. ANALYTICS_RETENTION_MODE
+// 'aggregate' (default) keeps the hourly and daily counts made from them (see
+// analytics-rollups.js), 'purge' deletes those as well.
+
+const crypto = require('crypto');
+const net = require('net');
+const { addDays } = require('./release-clock');
+
+const IP_MODES = ['truncate', 'none'];
+const ANALYTICS_IP_MODE = process.env.ANALYTICS_IP_MODE || 'truncate';
+
+const RETENTION_MODES = ['aggregate', 'purge'];
+const ANALYTICS_RETENTION_MODE = process.env.ANALYTICS_RETENTION_MODE || 'aggregate';
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS || '90', 10);
+
+if (!IP_MODES.includes(ANALYTICS_IP_MODE)) {
+  throw new Error(`ANALYTICS_IP_MODE must be one of ${IP_MODES.join(', ')}, got ${ANALYTICS_IP_MODE}`);
+}
+if (!RETENTION_MODES.includes(ANALYTICS_RETENTION_MODE)) {
+  throw new Error(`ANALYTICS_RETENTION_MODE must be one of ${RETENTION_MODES.join(', ')}, got ${ANALYTICS_RETENTION_MODE}`);
+}
+if (!Number.isInteger(ANALYTICS_RETENTION_DAYS) || ANALYTICS_RETENTION_DAYS < 1) {
+  throw new Error(`ANALYTICS_RETENTION_DAYS must be a whole number of days from 1, got ${process.env.ANALYTICS_RETENTION_DAYS}`);
+}
+
+// How often the server runs the retention job
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// The UTC date, which is what analytics timestamps (CURRENT_TIMESTAMP) use
+const utcDay = (now = new Date()) => now.toISOString().split('T')[0];
+
+// The eight groups of an IPv6 address, '::' filled in
+const expandIPv6 = (ip) => {
+  const [head, tail] = ip.split('%')[0].split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : Array(Math.max(0, 8 - left.length - right.length)).fill('0');
+  return [...left, ...fill, ...right];
+};
+
+const truncateIP = (ip) => {
+  const v4 = String(ip || '').replace(/^::ffff:/i, '');
+  if (net.isIPv4(v4)) return `${v4.split('.').slice(0, 3).join('.')}.0`;
+  if (net.isIPv6(ip)) return `${expandIPv6(ip).slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+  return null;
+};
+
+// First match wins, so more specific names come first (Chrome's user agent
+// mentions Safari, Edge's mentions Chrome, Android's mentions Linux)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux|X11/]
+];
+
+const coarseUserAgent = (userAgent) => {
+  if (!userAgent) return 'unknown';
+  if (/bot|crawl|spider|curl|wget|python|node-fetch|axios/i.test(userAgent)) return 'bot';
+
+  const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || ['other'])[0];
+  return `${match(BROWSERS)} ${match(PLATFORMS)}`;
+};
+
+// The identities events are pseudonymised from. Player IDs and IP addresses
+// can't collide, but the prefixes keep it obvious.
+const playerIdentity = (publicId) => `player:${publicId}`;
+const visitorIdentity = (ip, userAgent) => `visitor:${ip}\n${userAgent || ''}`;
+
+const pseudonym = (salt, identity) => crypto.createHmac('sha256', salt).update(identity).digest('hex').substring(0, 16);
+
+const createAnalyticsPrivacy = (db) => {
+  const statements = {
+    getSalt: db.prepare('SELECT salt FROM analytics_salts WHERE day = ?'),
+    insertSalt: db.prepare('INSERT OR IGNORE INTO analytics_salts (day, salt) VALUES (?, ?)'),
+    salts: db.prepare('SELECT day, salt FROM analytics_salts ORDER BY day'),
+    forgetSalts: db.prepare('DELETE FROM analytics_salts WHERE day < ?'),
+    eraseDay: db.prepare('DELETE FROM analytics WHERE user_id = ? AND timestamp >= ? AND timestamp < ?'),
+    purge: db.prepare('DELETE FROM analytics WHERE timestamp < ?'),
+    purgeRollups: [
+      db.prepare('DELETE FROM analytics_hourly WHERE hour < ?'),
+      db.prepare('DELETE FROM analytics_daily_visitors WHERE day < ?'),
+      db.prepare('DELETE FROM analytics_daily WHERE day < ?'),
+      db.prepare('DELETE FROM analytics_daily_puzzles WHERE day < ?')
+    ],
+    oldestEvent: db.prepare('SELECT MIN(timestamp) as timestamp FROM analytics')
+  };
+
+  const salts = new Map();
+
+  // Another process may have made the day's salt first, so read back whichever won
+  const saltFor = (day) => {
+    if (!salts.has(day)) {
+      statements.insertSalt.run(day, crypto.randomBytes(32).toString('hex'));
+      salts.set(day, statements.getSalt.get(day).salt);
+    }
+    return salts.get(day);
+  };
+
+  // The user_id, ip_address and user_agent to store for an event from
+  // `identity` (see playerIdentity and visitorIdentity)
+  const eventFields = ({ identity, ip, userAgent }, now = new Date()) => ({
+    userId: pseudonym(saltFor(utcDay(now)), identity),
+    ipAddress: ANALYTICS_IP_MODE === 'none' ? null : truncateIP(ip),
+    userAgent: coarseUserAgent(userAgent)
+  });
+
+  // Delete every stored event from any of the identities. Returns how many
+  // went. Events older than the retention window are already anonymous.
+  const erase = db.transaction((identities) => {
+    let deleted = 0;
+    for (const { day, salt } of statements.salts.all()) {
+      for (const identity of identities) {
+        deleted += statements.eraseDay.run(pseudonym(salt, identity), day, addDays(day, 1)).changes;
+      }
+    }
+    return deleted;
+  });
+
+  // Delete the raw events from before the retention window and forget the
+  // salts that could tie them to anyone. Under 'aggregate' the rollups must
+  // be up to date first, or the events are lost from them too.
+  const applyRetention = db.transaction((now = new Date()) => {
+    const before = addDays(utcDay(now), -ANALYTICS_RETENTION_DAYS);
+
+    const { changes: deleted } = statements.purge.run(before);
+    if (ANALYTICS_RETENTION_MODE === 'purge') {
+      statements.purgeRollups.forEach(statement => statement.run(before));
+    }
+    statements.forgetSalts.run(before);
+    for (const day of salts.keys()) {
+      if (day < before) salts.delete(day);
+    }
+
+    return { mode: ANALYTICS_RETENTION_MODE, before, deleted };
+  });
+
+  const settings = () => ({
+    ipMode: ANALYTICS_IP_MODE,
+    retentionDays: ANALYTICS_RETENTION_DAYS,
+    retentionMode: ANALYTICS_RETENTION_MODE,
+    oldestEvent: statements.oldestEvent.get().timestamp
+  });
+
+  return {
+    eventFields,
+    erase,
+    applyRetention,
+    settings
+  };
+};
+
+module.exports = {
+  ANALYTICS_IP_MODE,
+  ANALYTICS_RETENTION_MODE,
+  ANALYTICS_RETENTION_DAYS,
+  RETENTION_INTERVAL_MS,
+  truncateIP,
+  coarseUserAgent,
+  playerIdentity,
+  visitorIdentity,
+  createAnalyticsPrivacy
+};
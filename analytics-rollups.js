@@ -0,0 +1,212 @@
+// analytics-rollups.js
+// Hourly and daily counts of analytics events, so stats never scan the raw
+// events table. The aggregator runs in the background every
+// ANALYTICS_ROLLUP_INTERVAL_SECONDS (default 60): it finds the events added
+// since its last run and recounts only the hours and days they fall in, so
+// the counts stay exact and running it twice does no harm. Rollups outlive
+// the raw events they were counted from (see analytics-privacy.js).
+//
+// Visitors are pseudonyms that change every UTC day, so visitors over a
+// range are visitor-days: each day's visitors added up. Days and hours are
+// UTC, like event timestamps.
+//
+// Stats are cached per from/to/level until the aggregator next counts
+// something.
+
+const { addDays } = require('./release-clock');
+const { toTimestamp } = require('./analytics-events');
+
+const ANALYTICS_ROLLUP_INTERVAL_SECONDS = parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS || '60', 10);
+
+if (!Number.isInteger(ANALYTICS_ROLLUP_INTERVAL_SECONDS) || ANALYTICS_ROLLUP_INTERVAL_SECONDS < 1) {
+  throw new Error(`ANALYTICS_ROLLUP_INTERVAL_SECONDS must be a whole number of seconds from 1, got ${process.env.ANALYTICS_ROLLUP_INTERVAL_SECONDS}`);
+}
+
+const DEFAULT_STATS_DAYS = 30;
+const STATS_CACHE_SIZE = 100;
+const POPULAR_PUZZLES = 10;
+const RECENT_EVENTS = 50;
+
+// 'YYYY-MM-DD HH:00' and the timestamp an hour after it starts
+const hourEnd = (hour) => toTimestamp(new Date(new Date(`${hour.replace(' ', 'T')}:00Z`).getTime() + 60 * 60 * 1000));
+
+const createAnalyticsRollups = (db) => {
+  // Recount every events/visitors rollup for one period, [@start, @end)
+  const periodCounts = (table, column) => ({
+    clear: db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`),
+    count: db.prepare(`
+      INSERT INTO ${table} (${column}, scope, events, visitors)
+      SELECT @period, 'all', COUNT(*), COUNT(DISTINCT user_id)
+      FROM analytics WHERE timestamp >= @start AND timestamp < @end
+      HAVING COUNT(*) > 0
+      UNION ALL
+      SELECT @period, puzzle_level, COUNT(*), COUNT(DISTINCT user_id)
+      FROM analytics WHERE timestamp >= @start AND timestamp < @end AND puzzle_level IS NOT NULL
+      GROUP BY puzzle_level
+    `)
+  });
+
+  const statements = {
+    state: db.prepare('SELECT last_event_id, updated_at FROM analytics_rollup_state WHERE id = 1'),
+    setState: db.prepare('UPDATE analytics_rollup_state SET last_event_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1'),
+    lastEventId: db.prepare('SELECT MAX(id) as id FROM analytics'),
+    newHours: db.prepare(`
+      SELECT DISTINCT substr(timestamp, 1, 13) || ':00' as hour
+      FROM analytics WHERE id > ? AND id <= ?
+      ORDER BY hour
+    `),
+
+    hourly: periodCounts('analytics_hourly', 'hour'),
+    dailyVisitors: periodCounts('analytics_daily_visitors', 'day'),
+    clearDaily: db.prepare('DELETE FROM analytics_daily WHERE day = ?'),
+    countDaily: db.prepare(`
+      INSERT INTO analytics_daily (day, event_type, puzzle_level, events, visitors)
+      SELECT @period, event_type, puzzle_level, COUNT(*), COUNT(DISTINCT user_id)
+      FROM analytics WHERE timestamp >= @start AND timestamp < @end
+      GROUP BY event_type, puzzle_level
+    `),
+    clearPuzzles: db.prepare('DELETE FROM analytics_daily_puzzles WHERE day = ?'),
+    countPuzzles: db.prepare(`
+      INSERT INTO analytics_daily_puzzles (day, puzzle_date, puzzle_level, event_type, events, visitors)
+      SELECT @period, puzzle_date, puzzle_level, event_type, COUNT(*), COUNT(DISTINCT user_id)
+      FROM analytics WHERE timestamp >= @start AND timestamp < @end AND puzzle_date IS NOT NULL
+      GROUP BY puzzle_date, puzzle_level, event_type
+    `),
+
+    // @scope is the level, or 'all'
+    days: db.prepare(`
+      SELECT day as date, visitors, events FROM analytics_daily_visitors
+      WHERE scope = @scope AND day BETWEEN @from AND @to
+      ORDER BY day DESC
+    `),
+    totals: db.prepare(`
+      SELECT
+        COALESCE(SUM(visitors), 0) as totalVisitors,
+        COALESCE(SUM(events), 0) as totalEvents,
+        COUNT(*) as activeDays
+      FROM analytics_daily_visitors
+      WHERE scope = @scope AND day BETWEEN @from AND @to
+    `),
+    eventTypes: db.prepare(`
+      SELECT event_type, SUM(events) as count, SUM(visitors) as uniqueUsers
+      FROM analytics_daily
+      WHERE day BETWEEN @from AND @to AND (@level IS NULL OR puzzle_level = @level)
+      GROUP BY event_type
+      ORDER BY count DESC
+    `),
+    popularPuzzles: db.prepare(`
+      SELECT puzzle_date, puzzle_level, SUM(events) as accesses, SUM(visitors) as uniqueUsers
+      FROM analytics_daily_puzzles
+      WHERE event_type = 'puzzle_accessed' AND day BETWEEN @from AND @to
+        AND (@level IS NULL OR puzzle_level = @level)
+      GROUP BY puzzle_date, puzzle_level
+      ORDER BY accesses DESC
+      LIMIT ${POPULAR_PUZZLES}
+    `),
+    hours: db.prepare(`
+      SELECT hour, visitors, events FROM analytics_hourly
+      WHERE scope = @scope AND hour >= @from AND hour < @to
+      ORDER BY hour
+    `),
+    puzzleViews: db.prepare(`
+      SELECT COALESCE(SUM(events), 0) as count FROM analytics_daily
+      WHERE day = @day AND event_type = 'puzzle_accessed' AND (@level IS NULL OR puzzle_level = @level)
+    `),
+    // Indexed on timestamp, so this reads 50 rows however big the table is
+    recentActivity: db.prepare(`
+      SELECT
+        event_type,
+        puzzle_date,
+        puzzle_level,
+        datetime(timestamp, 'localtime') as timestamp,
+        CASE
+          WHEN metadata != '{}' THEN json_extract(metadata, '$.error')
+          ELSE NULL
+        END as error
+      FROM analytics
+      WHERE timestamp >= @from AND timestamp < @end AND (@level IS NULL OR puzzle_level = @level)
+      ORDER BY timestamp DESC
+      LIMIT ${RECENT_EVENTS}
+    `)
+  };
+
+  const cache = new Map();
+
+  const recount = (counts, period, start, end) => {
+    counts.clear.run(period);
+    counts.count.run({ period, start, end });
+  };
+
+  // Count the events added since the last run. Returns the hours and days
+  // recounted.
+  const update = db.transaction(() => {
+    const { last_event_id: lastEventId } = statements.state.get();
+    const newest = statements.lastEventId.get().id;
+    if (newest === null || newest <= lastEventId) return { hours: 0, days: 0 };
+
+    const hours = statements.newHours.all(lastEventId, newest).map(row => row.hour);
+    const days = [...new Set(hours.map(hour => hour.substring(0, 10)))];
+
+    for (const hour of hours) {
+      recount(statements.hourly, hour, `${hour}:00`, hourEnd(hour));
+    }
+
+    for (const day of days) {
+      const period = { period: day, start: day, end: addDays(day, 1) };
+      recount(statements.dailyVisitors, day, period.start, period.end);
+      statements.clearDaily.run(day);
+      statements.countDaily.run(period);
+      statements.clearPuzzles.run(day);
+      statements.countPuzzles.run(period);
+    }
+
+    statements.setState.run(newest);
+    cache.clear();
+
+    return { hours: hours.length, days: days.length };
+  });
+
+  // The stats dashboard for events from..to (UTC days), optionally only
+  // those about `level` puzzles. uniqueUsers are visitor-days, and without a
+  // level someone who played both levels on a day counts once for each.
+  const stats = ({ from, to, level = null }) => {
+    const key = JSON.stringify([from, to, level]);
+    if (cache.has(key)) return { ...cache.get(key), cached: true };
+
+    const scope = level || 'all';
+    const today = toTimestamp(new Date()).substring(0, 10);
+    const todayCounts = statements.days.get({ scope, from: today, to: today });
+
+    const result = {
+      from,
+      to,
+      level,
+      dailyVisitors: statements.days.all({ scope, from, to }),
+      totals: statements.totals.get({ scope, from, to }),
+      popularPuzzles: statements.popularPuzzles.all({ from, to, level }),
+      eventTypes: statements.eventTypes.all({ from, to, level }),
+      // The hours of the last day in the range
+      hourly: statements.hours.all({ scope, from: to, to: addDays(to, 1) }),
+      recentActivity: statements.recentActivity.all({ from, end: addDays(to, 1), level }),
+      today: {
+        visitors: todayCounts ? todayCounts.visitors : 0,
+        events: todayCounts ? todayCounts.events : 0,
+        puzzleViews: statements.puzzleViews.get({ day: today, level }).count
+      },
+      rollupsUpdatedAt: statements.state.get().updated_at
+    };
+
+    if (cache.size >= STATS_CACHE_SIZE) cache.delete(cache.keys().next().value);
+    cache.set(key, result);
+
+    return { ...result, cached: false };
+  };
+
+  return { update, stats };
+};
+
+module.exports = {
+  ANALYTICS_ROLLUP_INTERVAL_SECONDS,
+  DEFAULT_STATS_DAYS,
+  createAnalyticsRollups
+};
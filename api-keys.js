@@ -0,0 +1,167 @@
+// api-keys.js
+// API keys stored in the api_keys table. Only a SHA-256 hash of each key is
+// kept; the key itself is shown once, when it is created.
+//
+// Keys look like gg_<prefix>_<secret>. The prefix is stored in plain text so a
+// key can be found without scanning, then the hash is compared in constant time.
+
+const crypto = require('crypto');
+
+const SCOPES = ['puzzles:read', 'puzzles:write', 'analytics:read', 'analytics:write'];
+
+const KEY_PATTERN = /^gg_([0-9a-f]{8})_[A-Za-z0-9_-]{32,}$/;
+
+// Only write last_used_at once a minute per key, not on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+const hashesMatch = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// Compare two secrets without leaking how much of them matched
+const secretsMatch = (a, b) => hashesMatch(hashKey(a), hashKey(b));
+
+const toApiKey = (row) => row && {
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  scopes: row.scopes.split(' ').filter(Boolean),
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at
+};
+
+const invalidScopes = (scopes) => scopes.filter(scope => !SCOPES.includes(scope));
+
+// Create a key. Returns the stored record plus `key`, the only time the full
+// key is available.
+const createApiKey = (db, { name, scopes, expiresAt = null }) => {
+  const unknown = invalidScopes(scopes);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${SCOPES.join(', ')}`);
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `gg_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(name, prefix, hashKey(key).toString('hex'), scopes.join(' '), expiresAt);
+
+  const record = toApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid));
+  return { ...record, key };
+};
+
+const listApiKeys = (db) => db.prepare('SELECT * FROM api_keys ORDER BY id').all().map(toApiKey);
+
+const revokeApiKey = (db, id) => (
+  db.prepare('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL').run(id).changes > 0
+);
+
+// Look up a presented key. Returns the key record, or null if the key is
+// unknown, revoked or expired.
+const findApiKey = (db, key) => {
+  const match = KEY_PATTERN.exec(key);
+  const row = match ? db.prepare('SELECT * FROM api_keys WHERE key_prefix = ?').get(match[1]) : null;
+
+  // Hash and compare even when there is no row, so a miss takes as long as a hit
+  const storedHash = row ? Buffer.from(row.key_hash, 'hex') : hashKey('');
+  if (!hashesMatch(hashKey(key), storedHash) || !row) return null;
+
+  if (row.revoked_at) return null;
+  if (row.expires_at && new Date(`${row.expires_at.replace(' ', 'T')}Z`) <= new Date()) return null;
+
+  const lastUsed = row.last_used_at ? new Date(`${row.last_used_at.replace(' ', 'T')}Z`) : null;
+  if (!lastUsed || Date.now() - lastUsed >= LAST_USED_INTERVAL_MS) {
+    db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+  }
+
+  return toApiKey(row);
+};
+
+// CLI for managing keys
+function main() {
+  const { openDatabase } = require('./gramgrid-db');
+  const [command, ...args] = process.argv.slice(2);
+  const db = openDatabase();
+
+  try {
+    switch (command) {
+      case 'create': {
+        const expiresIndex = args.indexOf('--expires');
+        const expires = expiresIndex >= 0 ? args.splice(expiresIndex, 2)[1] : null;
+        const [name, scopeList] = args;
+
+        if (!name || !scopeList) throw new Error('Please provide a key name and comma-separated scopes');
+        if (expires !== null && !/^\d{4}-\d{2}-\d{2}$/.test(expires || '')) {
+          throw new Error('Expiry must be a YYYY-MM-DD date');
+        }
+
+        const created = createApiKey(db, {
+          name,
+          scopes: scopeList.split(',').map(scope => scope.trim()).filter(Boolean),
+          expiresAt: expires ? `${expires} 00:00:00` : null
+        });
+
+        console.log(`✓ Created key ${created.id} (${created.name}) with scopes: ${created.scopes.join(', ')}`);
+        console.log(`\n  ${created.key}\n`);
+        console.log('Store this key now. It cannot be shown again.');
+        break;
+      }
+
+      case 'list':
+        for (const apiKey of listApiKeys(db)) {
+          const status = apiKey.revokedAt ? `revoked ${apiKey.revokedAt}` : 'active';
+          console.log([
+            apiKey.id,
+            apiKey.name,
+            `gg_${apiKey.prefix}_…`,
+            apiKey.scopes.join(','),
+            `expires ${apiKey.expiresAt || 'never'}`,
+            `last used ${apiKey.lastUsedAt || 'never'}`,
+            status
+          ].join('\t'));
+        }
+        break;
+
+      case 'revoke': {
+        const id = parseInt(args[0]);
+        if (!id) throw new Error('Please provide a key id');
+        if (!revokeApiKey(db, id)) throw new Error(`No active key with id ${id}`);
+        console.log(`✓ Revoked key ${id}`);
+        break;
+      }
+
+      default:
+        console.log(`
+Usage:
+  node api-keys.js create "Game client" puzzles:read,analytics:write
+  node api-keys.js create "Editor" puzzles:read,puzzles:write --expires 2026-12-31
+  node api-keys.js list
+  node api-keys.js revoke 3
+
+Scopes: ${SCOPES.join(', ')}
+        `);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  SCOPES,
+  secretsMatch,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey
+};
@@ -1,23 +1,103 @@
 // auth.js
-const authenticateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  
+const { SCOPES, secretsMatch, findApiKey } = require('./api-keys');
+
+// Keys set in the environment, from before keys lived in the database. The
+// shared API_KEY is what the game client ships with, so it can only read
+// puzzles and send analytics events.
+const legacyKeys = () => [
+  { name: 'env:API_KEY', key: process.env.API_KEY, scopes: ['puzzles:read', 'analytics:write'] },
+  { name: 'env:ADMIN_API_KEY', key: process.env.ADMIN_API_KEY, scopes: SCOPES }
+].filter(legacy => legacy.key);
+
+const findLegacyKey = (apiKey) => {
+  // Check every key so the time taken doesn't reveal which one matched
+  const matches = legacyKeys().filter(legacy => secretsMatch(apiKey, legacy.key));
+  return matches.length > 0 ? { id: null, name: matches[0].name, scopes: matches[0].scopes } : null;
+};
+
+// The key from x-api-key, a Bearer token, or the password of HTTP Basic auth.
+// Basic is what a browser sends after asking for the key itself, which is
+// how people open the analytics dashboard.
+const requestApiKey = (req) => {
+  const authorization = req.headers['authorization'];
+  if (req.headers['x-api-key'] || !authorization) return req.headers['x-api-key'];
+
+  if (/^Basic /i.test(authorization)) {
+    const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    return credentials.slice(credentials.indexOf(':') + 1);
+  }
+  return authorization.replace('Bearer ', '');
+};
+
+// Only browsers loading a page are asked for a key, so API clients never see
+// a login prompt
+const challengeBrowsers = (req, res) => {
+  if (req.accepts(['json', 'html']) === 'html') {
+    res.set('WWW-Authenticate', 'Basic realm="GramGrid", charset="UTF-8"');
+  }
+};
+
+// Identify the caller from the x-api-key or Authorization header and attach
+// the key to req.apiKey. Scopes are checked per route with requireScope.
+const createApiKeyAuth = (db) => (req, res, next) => {
+  const apiKey = requestApiKey(req);
+
   if (!apiKey) {
-    return res.status(401).json({ 
+    challengeBrowsers(req, res);
+    return res.status(401).json({
       error: 'API key required',
-      message: 'Please provide an API key in the x-api-key header or Authorization header' 
+      message: 'Please provide an API key in the x-api-key header, or the Authorization header as a Bearer token or the Basic auth password'
     });
   }
 
-  if (apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ 
+  const key = findApiKey(db, apiKey) || findLegacyKey(apiKey);
+
+  if (!key) {
+    challengeBrowsers(req, res);
+    return res.status(401).json({
       error: 'Invalid API key',
-      message: 'The provided API key is not valid' 
+      message: 'The provided API key is not valid, has expired or has been revoked'
+    });
+  }
+
+  req.apiKey = key;
+  next();
+};
+
+const hasScope = (req, scope) => !!req.apiKey && req.apiKey.scopes.includes(scope);
+
+const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req, scope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This API key needs the ${scope} scope`
     });
   }
+  next();
+};
 
-  // API key is valid, proceed to next middleware
+// Attach req.player when the request carries a valid X-Player-Token. Requests
+// without one still go through; routes that need a player use requirePlayer.
+const createPlayerAuth = (players) => (req, res, next) => {
+  const token = req.headers['x-player-token'];
+  req.player = token ? players.findByToken(token) : null;
   next();
 };
 
-module.exports = authenticateApiKey;
\ No newline at end of file
+const requirePlayer = (req, res, next) => {
+  if (!req.player) {
+    return res.status(401).json({
+      error: 'Player token required',
+      message: 'Send the token from POST /api/players in the X-Player-Token header'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  createApiKeyAuth,
+  hasScope,
+  requireScope,
+  createPlayerAuth,
+  requirePlayer
+};
@@ -1,184 +1,702 @@
-const Database = require('better-sqlite3');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { openDatabase } = require('./gramgrid-db');
+const { createPuzzleStore } = require('./puzzle-store');
+const { addDays, releaseDate } = require('./release-clock');
+const { validatePuzzleEntry } = require('./puzzle-validator');
+const { solvePuzzle } = require('./puzzle-solver');
+const { loadWordList, generatePuzzles } = require('./puzzle-generator');
+const { parseCSV } = require('./csv');
+const { CSV_COLUMNS, csvToEntries } = require('./puzzle-csv');
+const { parsePuzzleFilters } = require('./puzzle-query');
+const { EXPORT_FORMATS, exportPuzzles } = require('./puzzle-export');
+const { diffPuzzles } = require('./puzzle-diff');
+const { REUSE_POLICIES, REUSE_POLICY, wordUsages, describeReuse, createReuseIndex } = require('./word-reuse');
+const { createDictionary } = require('./dictionary');
 
-const db = new Database(path.join(__dirname, 'gramgrid_puzzles.db'));
+const db = openDatabase();
+const puzzleStore = createPuzzleStore(db);
+const reuseIndex = createReuseIndex(db);
+const dictionary = createDictionary(db);
 
-// Method 1: Import from JSON array
-function importFromJSON(jsonFilePath) {
-  console.log('Starting JSON import...');
+// Imports are recorded in the revision history under the local user's name
+const IMPORTED_BY = `bulk-import:${os.userInfo().username}`;
+
+// Write planned entries as one import batch, so the whole import can be
+// rolled back later. An entry with `current` (the stored puzzle it was
+// compared against) replaces exactly that version; any other must be new.
+const writeBatch = db.transaction((source, entries) => {
+  const batchId = puzzleStore.startBatch(source, IMPORTED_BY);
   
-  const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
-  const insertPuzzle = db.prepare('INSERT OR REPLACE INTO daily_puzzles (puzzle_date, puzzle_level, puzzle_data) VALUES (?, ?, ?)');
+  for (const entry of entries) {
+    const meta = { changedBy: IMPORTED_BY, batchId };
+    const result = entry.current
+      ? puzzleStore.update(entry.date, entry.level, entry.puzzle, { expectedVersion: [entry.current.version], ...meta })
+      : puzzleStore.create(entry.date, entry.level, entry.puzzle, meta);
+    if (result.status !== 'created' && result.status !== 'updated') {
+      throw new Error(`The ${entry.level} puzzle for ${entry.date} was changed by someone else during the import`);
+    }
+  }
   
-  // Use transaction for bulk insert (much faster)
-  const insertMany = db.transaction((puzzles) => {
+  return batchId;
+});
 
-    for (const puzzle of puzzles) {
-      console.log(puzzle)
-      insertPuzzle.run(puzzle.date, puzzle.level, JSON.stringify(puzzle.data));
+// Where an entry came from, for messages: its line in a CSV or NDJSON file,
+// otherwise its position in a JSON array
+const entryLabel = (entry, index) => (entry.line ? `Line ${entry.line}` : `Puzzle ${entry.index || index + 1}`);
+const entryOrder = (entry) => entry.line || entry.index || 0;
+
+// Check every entry, returning { entry, label, errors } for each that fails.
+// Every word must be in the dictionary and not blocked. Whether the targets
+// allow more than one grid is checked later, on the plan (see checkAmbiguity).
+function findInvalidPuzzles(entries) {
+  const checkEntry = (entry) => {
+    const result = validatePuzzleEntry(entry);
+    const wordErrors = dictionary.checkPuzzle(entry.puzzle);
+    if (wordErrors.length > 0) {
+      result.valid = false;
+      result.errors.push(...wordErrors);
     }
-  });
+    return result;
+  };
   
-  const startTime = Date.now();
-  insertMany(jsonData);
-  const endTime = Date.now();
-  
-  console.log(`✓ Imported ${jsonData.length} puzzles in ${endTime - startTime}ms`);
+  return entries
+    .map((entry, index) => ({ entry, label: entryLabel(entry, index), result: checkEntry(entry) }))
+    .filter(({ result }) => !result.valid)
+    .map(({ entry, label, result }) => ({ entry, label, errors: result.errors }));
+}
+
+function reportInvalidPuzzles(failures) {
+  failures.forEach(({ entry, label, errors }) => {
+    console.error(`✗ ${label} (${entry.date || 'no date'} ${entry.level || 'no level'}):`);
+    errors.forEach(err => console.error(`    ${err.field ? `${err.field}: ` : ''}${err.message}`));
+  });
+}
+
+// Validate every puzzle before anything is written, so one bad row never
+// leaves a partial import behind
+function assertValidPuzzles(entries) {
+  const failures = findInvalidPuzzles(entries);
+
+  if (failures.length > 0) {
+    reportInvalidPuzzles(failures);
+    throw new Error(`${failures.length} invalid puzzle(s), nothing imported`);
+  }
 }
 
-// Method 2: Import from CSV
-function importFromCSV(csvFilePath) {
-  console.log('Starting CSV import...');
+// A { date, level, data } object from a JSON or NDJSON import as an entry
+const toEntry = (item, position) => {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+    return { entry: { ...position }, error: 'Expected an object with date, level and data' };
+  }
+  const level = typeof item.level === 'string' ? item.level.toUpperCase() : item.level;
+  return { entry: { ...position, date: item.date, level, puzzle: item.data } };
+};
+
+// Readers turn a file's text into { entries, failures }. Failures are rows
+// that couldn't be read at all, in the shape findInvalidPuzzles returns.
+const READERS = {
+  // An array of { date, level, data }, as exported by the export command
+  json: (text) => {
+    let items;
+    try {
+      items = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(items)) {
+      throw new Error('Expected a JSON array of { date, level, data } objects');
+    }
+    
+    const entries = [];
+    const failures = [];
+    items.forEach((item, i) => {
+      const { entry, error } = toEntry(item, { index: i + 1 });
+      if (error) failures.push({ entry, label: entryLabel(entry), errors: [{ message: error }] });
+      else entries.push(entry);
+    });
+    return { entries, failures };
+  },
   
-  const csvContent = fs.readFileSync(csvFilePath, 'utf8');
-  const lines = csvContent.split('\n').filter(line => line.trim());
-  const headers = lines[0].split(',');
+  // One { date, level, data } object per line; blank lines are skipped
+  ndjson: (text) => {
+    const entries = [];
+    const failures = [];
+    text.split(/\r?\n/).forEach((lineText, i) => {
+      if (!lineText.trim()) return;
+      
+      let item;
+      try {
+        item = JSON.parse(lineText);
+      } catch (error) {
+        const entry = { line: i + 1 };
+        failures.push({ entry, label: entryLabel(entry), errors: [{ message: `Not valid JSON: ${error.message}` }] });
+        return;
+      }
+      
+      const { entry, error } = toEntry(item, { line: i + 1 });
+      if (error) failures.push({ entry, label: entryLabel(entry), errors: [{ message: error }] });
+      else entries.push(entry);
+    });
+    return { entries, failures };
+  },
   
-  const insertPuzzle = db.prepare('INSERT OR REPLACE INTO daily_puzzles (puzzle_date, puzzle_data) VALUES (?, ?)');
+  // The layout described in puzzle-csv.js
+  csv: (text) => {
+    const { entries, errors } = csvToEntries(parseCSV(text));
+    const failures = errors.map(({ line, date, level, message }) => ({
+      entry: { line, date, level },
+      label: `Line ${line}`,
+      errors: [{ message }]
+    }));
+    return { entries, failures };
+  }
+};
+
+const IMPORT_FORMATS = Object.keys(READERS);
+const CONFLICT_MODES = ['fail', 'skip', 'replace'];
+const AMBIGUITY_POLICIES = ['warn', 'reject'];
+
+// Entries after the first for the same date and level
+function findDuplicates(entries) {
+  const first = new Map();
+  const failures = [];
   
-  const insertMany = db.transaction((rows) => {
-    for (let i = 1; i < rows.length; i++) {
-      const values = rows[i].split(',');
-      const puzzleData = {};
-      
-      headers.forEach((header, index) => {
-        const key = header.trim().replace(/"/g, '');
-        let value = values[index]?.trim().replace(/"/g, '');
-        
-        // Try to parse JSON strings or arrays
-        if (value && (value.startsWith('[') || value.startsWith('{'))) {
-          try {
-            value = JSON.parse(value);
-          } catch (e) {
-            // Keep as string if not valid JSON
-          }
-        }
-        
-        puzzleData[key] = value;
+  entries.forEach((entry, index) => {
+    const key = `${entry.date} ${entry.level}`;
+    if (first.has(key)) {
+      failures.push({
+        entry,
+        label: entryLabel(entry, index),
+        errors: [{ field: 'date', message: `Same date and level as ${first.get(key).toLowerCase()}` }]
       });
-      
-      const date = puzzleData.date;
-      delete puzzleData.date;
-      
-      insertPuzzle.run(date, JSON.stringify(puzzleData));
+    } else {
+      first.set(key, entryLabel(entry, index));
     }
   });
   
+  return failures;
+}
+
+// What importing each entry would do, given the puzzle stored for its date and
+// level: insert, update, unchanged, skip or conflict. Puzzles that differ
+// from the stored one carry the field-level changes.
+function planImport(entries, onConflict) {
+  const conflictAction = { fail: 'conflict', skip: 'skip', replace: 'update' }[onConflict];
+  
+  return entries.map(entry => {
+    const current = puzzleStore.get(entry.date, entry.level);
+    if (!current) return { entry, action: 'insert' };
+    
+    const changes = diffPuzzles(current.puzzle, entry.puzzle);
+    if (changes.length === 0) return { entry, action: 'unchanged' };
+    
+    return { entry, action: conflictAction, current, changes };
+  });
+}
+
+// Attach `reuse` (see word-reuse.js) to each planned insert and update. The
+// puzzles are checked against the database, less the ones this import
+// replaces, and against each other.
+function checkReuse(plan) {
+  const writing = plan.filter(item => item.action === 'insert' || item.action === 'update');
+  const replacing = new Set(writing.map(({ entry }) => `${entry.date} ${entry.level}`));
+  
+  // The import's own usages, by word and by solution letter pattern
+  const fileUsages = new Map();
+  const addUsage = (key, usage) => {
+    if (!fileUsages.has(key)) fileUsages.set(key, []);
+    fileUsages.get(key).push(usage);
+  };
+  for (const { entry } of writing) {
+    for (const usage of wordUsages(entry.puzzle)) {
+      const row = { ...usage, date: entry.date, level: entry.level };
+      addUsage(`word:${usage.word}`, row);
+      if (usage.role === 'solution') addUsage(`pattern:${usage.pattern}`, row);
+    }
+  }
+  
+  for (const item of writing) {
+    const own = wordUsages(item.entry.puzzle);
+    const extra = new Set(own.flatMap(usage => [
+      ...(fileUsages.get(`word:${usage.word}`) || []),
+      ...(usage.role === 'solution' ? fileUsages.get(`pattern:${usage.pattern}`) || [] : [])
+    ]));
+    
+    item.reuse = reuseIndex.check(item.entry.date, item.entry.level, item.entry.puzzle, {
+      ignore: usage => replacing.has(`${usage.date} ${usage.level}`),
+      extra: [...extra]
+    });
+  }
+}
+
+// Mark each planned insert and update whose targets allow more than one grid.
+// Some archive puzzles do, and players are accepted on any of the grids, so
+// by default they are only flagged and an exported archive imports as is.
+function checkAmbiguity(plan) {
+  for (const item of plan) {
+    if (item.action !== 'insert' && item.action !== 'update') continue;
+    item.ambiguous = solvePuzzle(item.entry.puzzle, { limit: 2 }).solutionCount > 1;
+  }
+}
+
+const formatValue = (value) => (value === undefined ? '(none)' : JSON.stringify(value));
+
+const PLAN_MARKS = {
+  insert: '+',
+  update: '~',
+  skip: '-',
+  conflict: '!'
+};
+
+function printPlan(plan) {
+  for (const { entry, action, changes, reuse, ambiguous } of plan) {
+    if (action === 'unchanged') continue;
+    
+    const note = {
+      insert: entry.puzzle.solution,
+      update: 'replaces the stored puzzle',
+      skip: 'skipped, a different puzzle is stored',
+      conflict: 'conflicts with the stored puzzle'
+    }[action];
+    console.log(`  ${PLAN_MARKS[action]} ${entry.date} ${entry.level}  ${note}`);
+    // Letters and values follow from the words, so only the words are shown
+    (changes || []).filter(({ path: field }) => !/\.(letters|values)\[/.test(field)).forEach(({ path: field, before, after }) => {
+      console.log(`      ${field}: ${formatValue(before)} → ${formatValue(after)}`);
+    });
+    (reuse || []).forEach(item => console.log(`      ⚠ ${describeReuse(item)}`));
+    if (ambiguous) console.log('      ⚠ targets allow more than one grid');
+  }
+}
+
+// Import puzzles from a JSON, NDJSON or CSV file. Every entry is read and
+// validated and then compared with the database, and nothing is written
+// unless all of them are valid and none conflicts with a stored puzzle.
+// Puzzles reusing words from nearby dates are flagged, and with reuse set to
+// 'reject' they stop the import too; likewise puzzles whose targets allow more
+// than one grid, with ambiguous set to 'reject'.
+//
+// onConflict decides what happens to a date and level that already holds a
+// different puzzle: 'fail' stops the import, 'skip' keeps the stored puzzle
+// and 'replace' overwrites it. Identical puzzles are always left alone, so
+// importing the same file twice changes nothing the second time.
+//
+// The plan (with a diff for every changed puzzle) and a summary are printed;
+// reportPath also writes them as JSON for CI. Returns the report.
+function importPuzzles(filePath, { format, onConflict = 'fail', reuse = REUSE_POLICY, ambiguous = 'warn', dryRun = false, reportPath = null } = {}) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  format = (format || (READERS[extension] ? extension : 'json')).toLowerCase();
+  
+  if (!READERS[format]) {
+    throw new Error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`--on-conflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+  }
+  if (!REUSE_POLICIES.includes(reuse)) {
+    throw new Error(`--reuse must be one of: ${REUSE_POLICIES.join(', ')}`);
+  }
+  if (!AMBIGUITY_POLICIES.includes(ambiguous)) {
+    throw new Error(`--ambiguous must be one of: ${AMBIGUITY_POLICIES.join(', ')}`);
+  }
+  
+  console.log(`Importing ${filePath} as ${format} (on conflict: ${onConflict}, reuse: ${reuse}${dryRun ? ', dry run' : ''})...`);
+  
   const startTime = Date.now();
-  insertMany(lines);
-  const endTime = Date.now();
+  const { entries, failures } = READERS[format](fs.readFileSync(filePath, 'utf8'));
+  
+  const duplicates = findDuplicates(entries);
+  const invalid = [...failures, ...duplicates, ...findInvalidPuzzles(entries)];
+  invalid.sort((a, b) => entryOrder(a.entry) - entryOrder(b.entry));
+  
+  // Only entries that passed every check are compared with the database
+  const failed = new Set(invalid.map(failure => failure.entry));
+  const plan = planImport(entries.filter(entry => !failed.has(entry)), onConflict);
+  checkReuse(plan);
+  checkAmbiguity(plan);
+  const count = (action) => plan.filter(item => item.action === action).length;
+  
+  const summary = {
+    inserted: count('insert'),
+    updated: count('update'),
+    skipped: count('skip') + count('unchanged'),
+    unchanged: count('unchanged'),
+    conflicts: count('conflict'),
+    reused: plan.filter(item => item.reuse && item.reuse.length > 0).length,
+    ambiguous: plan.filter(item => item.ambiguous).length,
+    invalid: invalid.length
+  };
+  
+  printPlan(plan);
+  reportInvalidPuzzles(invalid);
+  
+  const blocked = summary.invalid > 0 || summary.conflicts > 0 ||
+    (reuse === 'reject' && summary.reused > 0) || (ambiguous === 'reject' && summary.ambiguous > 0);
+  const toWrite = plan
+    .filter(item => item.action === 'insert' || item.action === 'update')
+    .map(({ entry, current }) => ({ ...entry, current }));
+  
+  let batchId = null;
+  if (!blocked && !dryRun && toWrite.length > 0) {
+    batchId = writeBatch(`${format}:${path.basename(filePath)}`, toWrite);
+  }
+  
+  const report = {
+    file: filePath,
+    format,
+    onConflict,
+    reuse,
+    ambiguous,
+    dryRun,
+    written: batchId !== null,
+    batchId,
+    summary,
+    puzzles: plan.map(item => ({
+      date: item.entry.date,
+      level: item.entry.level,
+      action: item.action,
+      ...(item.changes ? { changes: item.changes } : {}),
+      ...(item.reuse && item.reuse.length > 0 ? { reuse: item.reuse } : {}),
+      ...(item.ambiguous ? { ambiguous: true } : {})
+    })),
+    invalid: invalid.map(({ entry, label, errors }) => ({
+      label,
+      date: entry.date === undefined ? null : entry.date,
+      level: entry.level === undefined ? null : entry.level,
+      errors
+    }))
+  };
+  
+  if (reportPath) {
+    fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+  }
   
-  console.log(`✓ Imported ${lines.length - 1} puzzles from CSV in ${endTime - startTime}ms`);
+  console.log(`${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped} skipped (${summary.unchanged} unchanged), ${summary.invalid} invalid${summary.conflicts > 0 ? `, ${summary.conflicts} conflicting` : ''}${summary.reused > 0 ? `, ${summary.reused} reusing words` : ''}${summary.ambiguous > 0 ? `, ${summary.ambiguous} with more than one grid` : ''}`);
+  
+  if (blocked) {
+    const problems = [
+      summary.invalid > 0 ? `${summary.invalid} invalid puzzle(s)` : null,
+      summary.conflicts > 0 ? `${summary.conflicts} conflicting puzzle(s) (use --on-conflict skip or replace)` : null,
+      reuse === 'reject' && summary.reused > 0 ? `${summary.reused} puzzle(s) reusing recent words (use --reuse warn to allow)` : null,
+      ambiguous === 'reject' && summary.ambiguous > 0 ? `${summary.ambiguous} puzzle(s) with more than one grid (use --ambiguous warn to allow)` : null
+    ].filter(Boolean);
+    throw new Error(`${problems.join(', ')}, nothing imported`);
+  }
+  
+  if (dryRun) {
+    console.log('✓ Dry run, nothing written');
+  } else if (batchId === null) {
+    console.log('✓ Nothing to import, the database already matches');
+  } else {
+    console.log(`✓ Imported ${toWrite.length} puzzles in ${Date.now() - startTime}ms (batch ${batchId})`);
+  }
+  
+  return report;
 }
 
-// Method 3: Generate bulk test data
-function generateTestPuzzles(count = 100) {
-  console.log(`Generating ${count} test puzzles...`);
+// Import from a JSON array of { date, level, data }
+function importFromJSON(jsonFilePath, options = {}) {
+  return importPuzzles(jsonFilePath, { ...options, format: 'json' });
+}
+
+// Import from CSV in the layout described in puzzle-csv.js
+function importFromCSV(csvFilePath, options = {}) {
+  return importPuzzles(csvFilePath, { ...options, format: 'csv' });
+}
+
+// Generate puzzles from a word list into empty dates. Solutions already used
+// are never picked again; other reuse of nearby puzzles' words is checked as
+// for an import, flagged and with reuse set to 'reject' stops the run.
+function generatePuzzlesFromWordList(wordListPath, { count = 30, level = 'CL', seed, startDate, reuse = REUSE_POLICY } = {}) {
+  level = level.toUpperCase();
+  
+  if (!REUSE_POLICIES.includes(reuse)) {
+    throw new Error(`--reuse must be one of: ${REUSE_POLICIES.join(', ')}`);
+  }
   
-  const words = ['HELLO', 'WORLD', 'BRAIN', 'PUZZLE', 'WORDS', 'GAMES', 'LOGIC', 'SMART', 'THINK', 'SOLVE'];
-  const difficulties = ['easy', 'medium', 'hard'];
+  // Without an explicit seed pick one, and print it so the run can be reproduced
+  if (seed === undefined) {
+    seed = crypto.randomInt(2 ** 31);
+  }
   
-  const insertPuzzle = db.prepare('INSERT OR REPLACE INTO daily_puzzles (puzzle_date, puzzle_data) VALUES (?, ?)');
+  console.log(`Generating ${count} ${level} puzzles from ${wordListPath} (seed ${seed})...`);
   
-  const insertMany = db.transaction((puzzleCount) => {
-    for (let i = 0; i < puzzleCount; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() + i);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      const word = words[Math.floor(Math.random() * words.length)];
-      const difficulty = difficulties[Math.floor(Math.random() * difficulties.length)];
-      
-      const puzzleData = {
-        word: word,
-        difficulty: difficulty,
-        clues: [
-          `A ${difficulty} word`,
-          `${word.length} letters long`,
-          `Starts with ${word[0]}`
-        ],
-        letters: word.split(''),
-        hints: Math.floor(Math.random() * 3) + 1,
-        timeLimit: 300 - (difficulties.indexOf(difficulty) * 60)
-      };
-      
-      insertPuzzle.run(dateStr, JSON.stringify(puzzleData));
+  const startTime = Date.now();
+  
+  // Only words the dictionary lets this level use
+  const wordList = dictionary.restrictWordList(loadWordList(wordListPath), level);
+  const usedSolutions = db.prepare("SELECT DISTINCT json_extract(puzzle_data, '$.solution') as solution FROM daily_puzzles")
+    .all()
+    .map(row => row.solution);
+  
+  const puzzles = generatePuzzles(wordList, { level, count, seed, exclude: usedSolutions });
+  
+  if (puzzles.length < count) {
+    console.log(`Word list only produced ${puzzles.length} of ${count} puzzles`);
+  }
+  
+  // Nothing to schedule, so no empty import batch either
+  if (puzzles.length === 0) return;
+  
+  // Schedule into the first empty dates from the start date (default: the
+  // day after today's release)
+  const dateTaken = db.prepare('SELECT 1 FROM daily_puzzles WHERE puzzle_date = ? AND puzzle_level = ?');
+  const date = new Date(`${startDate || addDays(releaseDate(), 1)}T00:00:00Z`);
+  
+  const entries = puzzles.map(puzzle => {
+    let dateStr = date.toISOString().split('T')[0];
+    while (dateTaken.get(dateStr, level)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      dateStr = date.toISOString().split('T')[0];
     }
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { date: dateStr, level, puzzle };
   });
   
-  const startTime = Date.now();
-  insertMany(count);
+  assertValidPuzzles(entries);
+  
+  const plan = entries.map(entry => ({ entry, action: 'insert' }));
+  checkReuse(plan);
+  const reused = plan.filter(item => item.reuse.length > 0).length;
+  
+  if (reused > 0) {
+    printPlan(plan.filter(item => item.reuse.length > 0));
+    if (reuse === 'reject') {
+      throw new Error(`${reused} puzzle(s) reusing recent words (use --reuse warn to allow), nothing generated`);
+    }
+  }
+  
+  const batchId = writeBatch(`generate:${path.basename(wordListPath)}:${level}:seed ${seed}`, entries);
+  entries.forEach(entry => console.log(`✓ ${entry.date} ${entry.level}: ${entry.puzzle.solution}`));
   const endTime = Date.now();
   
-  console.log(`✓ Generated ${count} test puzzles in ${endTime - startTime}ms`);
+  console.log(`✓ Generated ${entries.length} puzzles in ${endTime - startTime}ms (batch ${batchId})${reused > 0 ? `, ${reused} reusing words` : ''}`);
 }
 
-// Method 4: Import from SQL file
-function importFromSQL(sqlFilePath) {
-  console.log('Starting SQL import...');
+// Undo a previous import batch
+function rollbackImport(batchId) {
+  const result = puzzleStore.rollbackBatch(batchId, { changedBy: IMPORTED_BY });
+  
+  switch (result.status) {
+    case 'not_found':
+      throw new Error(`Import batch ${batchId} not found`);
+    case 'already_rolled_back':
+      throw new Error(`Import batch ${batchId} was already rolled back at ${result.batch.rolledBackAt}`);
+    case 'conflict':
+      result.puzzles.forEach(({ date, level }) => console.error(`✗ ${date} ${level} has been edited since the import`));
+      throw new Error('Rollback refused, nothing changed');
+  }
+  
+  console.log(`✓ Rolled back import batch ${batchId} (${result.puzzles.length} puzzles)`);
+}
+
+// Show recent import batches
+function listImports() {
+  for (const batch of puzzleStore.listBatches()) {
+    const status = batch.rolledBackAt ? `rolled back ${batch.rolledBackAt}` : 'active';
+    console.log(`${batch.id}\t${batch.createdAt}\t${batch.puzzleCount} puzzles\t${batch.source}\t${batch.createdBy}\t${status}`);
+  }
+}
+
+// Restore from an SQL dump, such as one written by `sqlite3 <db> .dump`. The
+// file runs as is and can change or drop anything, bypassing validation and
+// the revision history, so this is only for dumps you made yourself and only
+// runs from the restore command.
+function restoreFromSQL(sqlFilePath) {
+  console.log(`Restoring from ${sqlFilePath}...`);
   
   const sqlContent = fs.readFileSync(sqlFilePath, 'utf8');
+  const startTime = Date.now();
+  
+  // SQLite parses the whole file itself, so semicolons inside strings are
+  // safe. Dumps from the sqlite3 shell bring their own BEGIN and COMMIT;
+  // anything else runs in a transaction here.
+  try {
+    db.transaction(() => db.exec(sqlContent))();
+  } catch (error) {
+    if (!/within a transaction/.test(error.message)) throw error;
+    try {
+      db.exec(sqlContent);
+    } catch (dumpError) {
+      if (db.inTransaction) db.exec('ROLLBACK');
+      throw dumpError;
+    }
+  }
   
-  // Split by semicolons and execute each statement
-  const statements = sqlContent.split(';').filter(stmt => stmt.trim());
+  // The SQL doesn't go through the puzzle store, so index its words afresh
+  reuseIndex.rebuild();
   
-  const transaction = db.transaction(() => {
-    statements.forEach(statement => {
-      if (statement.trim()) {
-        db.exec(statement);
-      }
-    });
-  });
+  console.log(`✓ Restored from SQL in ${Date.now() - startTime}ms`);
+}
+
+// Export puzzles to a file ('-' for stdout) that the import command can read
+// again. The format defaults to the file's extension.
+function exportPuzzlesToFile(outputPath, { format, from, to, level } = {}) {
+  const extension = path.extname(outputPath).slice(1).toLowerCase();
+  format = (format || (EXPORT_FORMATS[extension] ? extension : 'json')).toLowerCase();
   
-  const startTime = Date.now();
-  transaction();
-  const endTime = Date.now();
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  
+  const { filters, error } = parsePuzzleFilters({ from, to, level }, { allowed: ['from', 'to', 'level'] });
+  if (error) throw new Error(error);
   
-  console.log(`✓ Executed SQL import in ${endTime - startTime}ms`);
+  const toStdout = outputPath === '-';
+  const fd = toStdout ? process.stdout.fd : fs.openSync(outputPath, 'w');
+  
+  try {
+    const chunks = exportPuzzles(db, filters, format);
+    let step;
+    while (!(step = chunks.next()).done) {
+      fs.writeSync(fd, step.value);
+    }
+    
+    // Progress goes to stderr so stdout holds only the export
+    console.error(`✓ Exported ${step.value} puzzles as ${format}${toStdout ? '' : ` to ${outputPath}`}`);
+  } finally {
+    if (!toStdout) fs.closeSync(fd);
+  }
+}
+
+// Split CLI arguments into positional values and --name value options
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[name] = true;
+      } else {
+        options[name] = next;
+        i++;
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  
+  return { positional, options };
 }
 
 // Usage examples and CLI interface
 function main() {
-  const args = process.argv.slice(2);
+  const { positional: args, options } = parseArgs(process.argv.slice(2));
   const command = args[0];
   const filePath = args[1];
   
   try {
     switch (command) {
+      case 'import':
       case 'json':
-        if (!filePath) throw new Error('Please provide JSON file path');
-        importFromJSON(filePath);
-        break;
-        
+      case 'ndjson':
       case 'csv':
-        if (!filePath) throw new Error('Please provide CSV file path');
-        importFromCSV(filePath);
+        if (!filePath) throw new Error('Please provide a file path');
+        importPuzzles(filePath, {
+          format: command === 'import' ? options.format : command,
+          onConflict: options['on-conflict'] || 'fail',
+          reuse: options.reuse || REUSE_POLICY,
+          dryRun: !!options['dry-run'],
+          ambiguous: options.ambiguous || 'warn',
+          reportPath: typeof options.report === 'string' ? options.report : null
+        });
         break;
         
       case 'generate':
-        const count = parseInt(filePath) || 100;
-        generateTestPuzzles(count);
+        if (!filePath) throw new Error('Please provide a word list file path');
+        if (options.start && !/^\d{4}-\d{2}-\d{2}$/.test(options.start)) {
+          throw new Error('Start date must be YYYY-MM-DD');
+        }
+        // The generator's random numbers use a 32-bit seed
+        if (options.seed !== undefined && !(/^\d+$/.test(options.seed) && Number(options.seed) < 2 ** 32)) {
+          throw new Error(`Seed must be a whole number from 0 to ${2 ** 32 - 1}`);
+        }
+        generatePuzzlesFromWordList(filePath, {
+          count: parseInt(args[2]) || 30,
+          level: options.level || 'CL',
+          seed: options.seed !== undefined ? Number(options.seed) : undefined,
+          startDate: options.start,
+          reuse: options.reuse || REUSE_POLICY
+        });
         break;
         
-      case 'sql':
+      case 'batches':
+        listImports();
+        break;
+        
+      case 'rollback':
+        if (!parseInt(filePath)) throw new Error('Please provide an import batch id');
+        rollbackImport(parseInt(filePath));
+        break;
+        
+      case 'restore':
         if (!filePath) throw new Error('Please provide SQL file path');
-        importFromSQL(filePath);
+        if (!options.yes) {
+          throw new Error('restore runs the SQL file as is and can overwrite or drop anything. Add --yes to go ahead');
+        }
+        restoreFromSQL(filePath);
         break;
         
+      case 'sql':
+        throw new Error('Use import to load puzzles, or restore --yes to run an SQL dump as is');
+        
+      case 'export':
+        if (!filePath) throw new Error('Please provide an output file path, or - for stdout');
+        exportPuzzlesToFile(filePath, {
+          format: options.format,
+          from: options.from,
+          to: options.to,
+          level: options.level
+        });
+        return;
+        
       default:
         console.log(`
 Usage:
-  node bulk-import.js json puzzles.json
-  node bulk-import.js csv puzzles.csv  
-  node bulk-import.js generate 365
-  node bulk-import.js sql dump.sql
+  node bulk-import.js import puzzles.json --on-conflict skip
+  node bulk-import.js import puzzles.csv --dry-run --report import-report.json
+  node bulk-import.js generate words.txt 30 --level CH --seed 42 --start 2026-01-01
+  node bulk-import.js batches
+  node bulk-import.js rollback 12
+  node bulk-import.js restore dump.sql --yes
+  node bulk-import.js export season.csv --from 2026-01-01 --to 2026-03-31 --level CL
 
 Commands:
-  json <file>     Import from JSON array
-  csv <file>      Import from CSV file
-  generate <num>  Generate test puzzles
-  sql <file>      Import from SQL file
+  import <file>   Import puzzles; nothing is written unless every one is valid
+                  JSON: an array of { date, level, data }, as export writes it
+                  NDJSON: one { date, level, data } per line
+                  CSV: the header row ${CSV_COLUMNS.join(',')}
+    --format json|ndjson|csv     Input format (default: from the file extension, else json)
+    --on-conflict fail|skip|replace
+                                 When a date already holds a different puzzle: stop
+                                 (default), keep the stored one or overwrite it
+    --reuse warn|reject          Whether puzzles reusing words from nearby dates are
+                                 only flagged or stop the import (default: REUSE_POLICY,
+                                 else warn)
+    --dry-run                    Show what would change without writing anything
+    --report <file>              Also write the plan and summary as JSON
+    --ambiguous warn|reject      Whether puzzles whose targets allow more than one grid
+                                 are only flagged (default) or stop the import
+  json|ndjson|csv <file>  import with that format
+  generate <wordlist> [num]  Generate puzzles into empty dates
+    --level CL|CH           Level and difficulty rules (default CL)
+    --seed <n>              Reproduce an earlier run
+    --start YYYY-MM-DD      First date to fill (default tomorrow)
+    --reuse warn|reject     Whether puzzles reusing words from nearby dates are
+                            only flagged or stop the run (default: REUSE_POLICY,
+                            else warn)
+  batches         List import batches
+  rollback <id>   Undo every change made by an import batch
+  restore <file> --yes  Run an SQL dump as is (no validation, not recorded in history)
+  export <file>   Export puzzles that import can read again (- for stdout)
+    --format json|ndjson|csv  Output format (default: from the file extension, else json)
+    --from / --to YYYY-MM-DD  Date range (default: everything)
+    --level CL|CH             One level only
         `);
     }
     
@@ -188,6 +706,7 @@ Commands:
     
   } catch (error) {
     console.error('Error:', error.message);
+    process.exitCode = 1;
   } finally {
     db.close();
   }
@@ -198,8 +717,10 @@ if (require.main === module) {
 }
 
 module.exports = {
+  importPuzzles,
   importFromJSON,
   importFromCSV,
-  generateTestPuzzles,
-  importFromSQL
+  generatePuzzlesFromWordList,
+  rollbackImport,
+  restoreFromSQL
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// csv.js
+// RFC 4180 CSV: fields separated by commas, records by CRLF or LF. A field in
+// double quotes may contain commas, line breaks and doubled quotes ("").
+
+// Parse CSV text into records of the form { line, fields }, where line is the
+// 1-based line the record starts on. Blank lines are skipped. Throws on an
+// unterminated quoted field or a quote inside an unquoted one.
+const parseCSV = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+        const next = text[i + 1];
+        if (next !== undefined && next !== ',' && next !== '\n' && next !== '\r') {
+          throw new Error(`Line ${line}: unexpected character after closing quote`);
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (fieldStarted) throw new Error(`Line ${line}: quote inside an unquoted field`);
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) throw new Error(`Line ${recordLine}: quoted field is never closed`);
+  endRecord();
+
+  return records;
+};
+
+// One CSV record with a CRLF line ending. Fields containing a comma, quote or
+// line break are quoted.
+const formatCSVRow = (fields) => `${fields.map(value => {
+  const field = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}).join(',')}\r\n`;
+
+module.exports = {
+  parseCSV,
+  formatCSVRow
+};
@@ -0,0 +1,252 @@
+// dictionary.js
+// Which words puzzles may use. Word lists are read once at startup from
+// DICTIONARY_DIR (default ./words), in the same format as generator word lists
+// (one word per line, '#' starts a comment):
+//
+//   allowed.txt    real words puzzles may use. If it is missing or empty
+//                  any word is accepted.
+//   blocked.txt    words no puzzle may use, whatever the allowed list says
+//   frequency.txt  "WORD <uses per million words>" lines. Rare words make a
+//                  puzzle harder (see wordRarity), and the generator keeps
+//                  rare words out of Classic puzzles.
+//
+// Each file says where its words came from.
+// Changes made through the API are kept in dictionary_words and win over the
+// files, so they survive a redeploy with the same files.
+
+const fs = require('fs');
+const path = require('path');
+
+const DICTIONARY_DIR = process.env.DICTIONARY_DIR || path.join(__dirname, 'words');
+
+const WORD_PATTERN = /^[A-Z]+$/;
+const MAX_WORD_LENGTH = 20;
+
+// Frequency bands (uses per million words), most common first
+const FREQUENCY_BANDS = [
+  { band: 'common', min: 10 },
+  { band: 'uncommon', min: 1 },
+  { band: 'rare', min: 0 }
+];
+
+// The bands the generator may use for each level. Words without frequency
+// data are not judged.
+const LEVEL_VOCABULARY = {
+  CL: ['common', 'uncommon'],
+  CH: ['common', 'uncommon', 'rare']
+};
+
+// Rarity runs from 0 for words this common or more to 1 for words this rare
+// or less, on a log scale in between
+const RARITY_COMMON = 10;
+const RARITY_RAREST = 0.01;
+
+const STATUSES = ['allowed', 'blocked', 'removed'];
+
+const frequencyBand = (frequency) => (
+  frequency === null ? null : FREQUENCY_BANDS.find(({ min }) => frequency >= min).band
+);
+
+const readLines = (filePath) => {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+};
+
+const readWordFile = (filePath) => new Set(
+  readLines(filePath).map(line => line.toUpperCase()).filter(word => WORD_PATTERN.test(word))
+);
+
+const readFrequencyFile = (filePath) => {
+  const frequencies = new Map();
+  readLines(filePath).forEach((line, i) => {
+    const [word, value] = line.split(/[\s,]+/);
+    const frequency = Number(value);
+    if (!WORD_PATTERN.test(word.toUpperCase()) || !Number.isFinite(frequency) || frequency < 0) {
+      throw new Error(`${filePath}: line ${i + 1} should be a word and a number, got "${line}"`);
+    }
+    frequencies.set(word.toUpperCase(), frequency);
+  });
+  return frequencies;
+};
+
+const toOverride = (row) => row && {
+  status: row.status,
+  frequency: row.frequency,
+  changedBy: row.changed_by,
+  changedAt: row.changed_at
+};
+
+const createDictionary = (db, { dir = DICTIONARY_DIR } = {}) => {
+  const statements = {
+    overrides: db.prepare('SELECT * FROM dictionary_words ORDER BY word'),
+    getOverride: db.prepare('SELECT * FROM dictionary_words WHERE word = ?'),
+    upsert: db.prepare(`
+      INSERT INTO dictionary_words (word, status, frequency, changed_by, changed_at)
+      VALUES (@word, @status, @frequency, @changedBy, CURRENT_TIMESTAMP)
+      ON CONFLICT (word) DO UPDATE SET
+        status = excluded.status,
+        frequency = excluded.frequency,
+        changed_by = excluded.changed_by,
+        changed_at = excluded.changed_at
+    `),
+    reset: db.prepare('DELETE FROM dictionary_words WHERE word = ?'),
+    uses: db.prepare(`
+      SELECT role, COUNT(*) as count, MAX(puzzle_date) as last_used
+      FROM word_usage WHERE word = ?
+      GROUP BY role
+    `)
+  };
+
+  const files = {
+    allowed: readWordFile(path.join(dir, 'allowed.txt')),
+    blocked: readWordFile(path.join(dir, 'blocked.txt')),
+    frequency: readFrequencyFile(path.join(dir, 'frequency.txt'))
+  };
+
+  const overrides = new Map(statements.overrides.all().map(row => [row.word, toOverride(row)]));
+
+  // Everything known about a word: whether puzzles may use it, why, and how
+  // common it is
+  const lookup = (word) => {
+    word = word.toUpperCase();
+    const override = overrides.get(word) || null;
+    const listed = files.blocked.has(word) ? 'blocked' : files.allowed.has(word) ? 'allowed' : null;
+    const status = (override && override.status) || listed;
+
+    const frequency = override && override.frequency !== null
+      ? override.frequency
+      : (files.frequency.has(word) ? files.frequency.get(word) : null);
+
+    const blocked = status === 'blocked';
+    const allowed = !blocked && status !== 'removed' && (status === 'allowed' || files.allowed.size === 0);
+
+    return {
+      word,
+      allowed,
+      blocked,
+      frequency,
+      band: frequencyBand(frequency),
+      listed,
+      override
+    };
+  };
+
+  // How rare the word is, from 0 (common) to 1, or null without frequency data
+  const wordRarity = (word) => {
+    const { frequency } = lookup(word);
+    if (frequency === null) return null;
+
+    const rarity = Math.log10(RARITY_COMMON / Math.max(frequency, RARITY_RAREST)) / Math.log10(RARITY_COMMON / RARITY_RAREST);
+    return Math.min(1, Math.max(0, rarity));
+  };
+
+  // Whether the generator may use the word in `level` puzzles
+  const usable = (info, level) => (
+    info.allowed && (info.band === null || !LEVEL_VOCABULARY[level] || LEVEL_VOCABULARY[level].includes(info.band))
+  );
+
+  // Errors, in the validator's { field, message } shape, for each word of the
+  // puzzle that is blocked or not in the dictionary. Malformed words are left
+  // to the validator. Rare words are allowed at any level: editors choose
+  // them on purpose, and they count towards the difficulty score instead.
+  const checkPuzzle = (puzzle) => {
+    if (!puzzle || typeof puzzle !== 'object') return [];
+
+    const words = [
+      ...(Array.isArray(puzzle.words) ? puzzle.words : []).map((entry, i) => ({ field: `words[${i}].word`, word: entry && entry.word })),
+      { field: 'solution', word: puzzle.solution }
+    ];
+
+    const errors = [];
+    for (const { field, word } of words) {
+      if (typeof word !== 'string' || !WORD_PATTERN.test(word.toUpperCase())) continue;
+
+      const info = lookup(word);
+      if (info.blocked) {
+        errors.push({ field, message: `${info.word} is on the blocklist` });
+      } else if (!info.allowed) {
+        errors.push({ field, message: `${info.word} is not in the dictionary` });
+      }
+    }
+    return errors;
+  };
+
+  // A generator word list (see puzzle-generator.js) without the words `level`
+  // puzzles may not use, and with the words' rarity for scoring difficulty
+  const restrictWordList = (wordList, level) => {
+    const cornerWords = new Map();
+    for (const [key, words] of wordList.cornerWords) {
+      const kept = words.filter(word => usable(lookup(word), level));
+      if (kept.length > 0) cornerWords.set(key, kept);
+    }
+
+    return {
+      cornerWords,
+      solutions: wordList.solutions.filter(word => usable(lookup(word), level)),
+      wordRarity
+    };
+  };
+
+  // How often the word has appeared in puzzles, by role
+  const uses = (word) => Object.fromEntries(
+    statements.uses.all(word.toUpperCase()).map(row => [row.role, { count: row.count, lastUsed: row.last_used }])
+  );
+
+  // Put a word on the allowed or blocked list, take it off ('removed'), or
+  // only set its frequency (leaving either out keeps what was there)
+  const setWord = (word, { status, frequency, changedBy = 'unknown' }) => {
+    word = word.toUpperCase();
+    const current = overrides.get(word);
+
+    const row = {
+      word,
+      status: status === undefined ? (current ? current.status : null) : status,
+      frequency: frequency === undefined ? (current ? current.frequency : null) : frequency,
+      changedBy
+    };
+    statements.upsert.run(row);
+    overrides.set(word, toOverride(statements.getOverride.get(word)));
+
+    return lookup(word);
+  };
+
+  // Forget the API's changes to a word, leaving the files' verdict
+  const resetWord = (word) => {
+    word = word.toUpperCase();
+    statements.reset.run(word);
+    overrides.delete(word);
+    return lookup(word);
+  };
+
+  const summary = () => ({
+    dir,
+    allowed: files.allowed.size,
+    blocked: files.blocked.size,
+    frequencies: files.frequency.size,
+    enforcing: files.allowed.size > 0,
+    overrides: [...overrides.entries()].map(([word, override]) => ({ word, ...override }))
+  });
+
+  return {
+    lookup,
+    checkPuzzle,
+    wordRarity,
+    restrictWordList,
+    uses,
+    setWord,
+    resetWord,
+    summary
+  };
+};
+
+module.exports = {
+  DICTIONARY_DIR,
+  MAX_WORD_LENGTH,
+  FREQUENCY_BANDS,
+  LEVEL_VOCABULARY,
+  STATUSES,
+  createDictionary
+};
@@ -0,0 +1,154 @@
+// evergreen.js
+// A pool of reserved puzzles with no date. When a day has been released with
+// nothing scheduled at a level, FALLBACK_POLICY decides what players get:
+//
+//   evergreen  the oldest unused pool puzzle at that level is put on the day
+//              through the puzzle store, so it is in the revision history and
+//              checks, hints, solves and leaderboards treat it like any other
+//   none       nothing: the day stays empty and players get a 404
+//
+// Each pool puzzle is used once. Ones whose solution word appeared within the
+// duplicate window (see puzzle-calendar.js), or that reuse words from puzzles
+// near the day (see word-reuse.js), are passed over while others are left.
+
+const { addDays } = require('./release-clock');
+const { LEVELS } = require('./puzzle-validator');
+const { DUPLICATE_WINDOW_DAYS } = require('./puzzle-calendar');
+
+const FALLBACK_POLICIES = ['evergreen', 'none'];
+const FALLBACK_POLICY = process.env.FALLBACK_POLICY || 'evergreen';
+
+if (!FALLBACK_POLICIES.includes(FALLBACK_POLICY)) {
+  throw new Error(`FALLBACK_POLICY must be one of ${FALLBACK_POLICIES.join(', ')}, got ${FALLBACK_POLICY}`);
+}
+
+// Recorded as the author of puzzles the fallback schedules
+const FALLBACK_CHANGED_BY = 'fallback:evergreen';
+
+const toEvergreen = (row) => row && {
+  id: row.id,
+  level: row.puzzle_level,
+  puzzle: JSON.parse(row.puzzle_data),
+  addedBy: row.added_by,
+  createdAt: row.created_at,
+  usedDate: row.used_date,
+  usedAt: row.used_at
+};
+
+const createEvergreenPool = (db, puzzleStore, reuseIndex) => {
+  const statements = {
+    insert: db.prepare('INSERT INTO evergreen_puzzles (puzzle_level, puzzle_data, added_by) VALUES (?, ?, ?)'),
+    get: db.prepare('SELECT * FROM evergreen_puzzles WHERE id = ?'),
+    list: db.prepare(`
+      SELECT * FROM evergreen_puzzles
+      WHERE (@level IS NULL OR puzzle_level = @level) AND (@includeUsed = 1 OR used_date IS NULL)
+      ORDER BY id
+    `),
+    available: db.prepare('SELECT * FROM evergreen_puzzles WHERE puzzle_level = ? AND used_date IS NULL ORDER BY id'),
+    availableCounts: db.prepare(`
+      SELECT puzzle_level, COUNT(*) as count FROM evergreen_puzzles
+      WHERE used_date IS NULL
+      GROUP BY puzzle_level
+    `),
+    markUsed: db.prepare(`
+      UPDATE evergreen_puzzles SET used_date = ?, used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND used_date IS NULL
+    `),
+    remove: db.prepare('DELETE FROM evergreen_puzzles WHERE id = ? AND used_date IS NULL'),
+    sameSolution: db.prepare(`
+      SELECT * FROM evergreen_puzzles
+      WHERE used_date IS NULL AND json_extract(puzzle_data, '$.solution') = ?
+      ORDER BY id
+    `),
+    recentSolutions: db.prepare(`
+      SELECT DISTINCT json_extract(puzzle_data, '$.solution') as solution
+      FROM daily_puzzles
+      WHERE puzzle_date BETWEEN ? AND ?
+    `)
+  };
+
+  const add = (level, puzzle, { addedBy = 'unknown' } = {}) => {
+    const { lastInsertRowid } = statements.insert.run(level, JSON.stringify(puzzle), addedBy);
+    return get(Number(lastInsertRowid));
+  };
+
+  const get = (id) => toEvergreen(statements.get.get(id));
+
+  const list = ({ level = null, includeUsed = false } = {}) => (
+    statements.list.all({ level, includeUsed: includeUsed ? 1 : 0 }).map(toEvergreen)
+  );
+
+  // Used puzzles stay, as the record of where a day's puzzle came from
+  const remove = (id) => {
+    const entry = get(id);
+    if (!entry) return { status: 'not_found' };
+    if (entry.usedDate) return { status: 'used', entry };
+
+    statements.remove.run(id);
+    return { status: 'removed', entry };
+  };
+
+  // Unused pool puzzles, at either level, with the same solution word
+  const sameSolution = (puzzle) => (
+    statements.sameSolution.all(puzzle.solution).map(toEvergreen)
+  );
+
+  const availableCounts = () => {
+    const counts = Object.fromEntries(LEVELS.map(level => [level, 0]));
+    statements.availableCounts.all().forEach(row => { counts[row.puzzle_level] = row.count; });
+    return counts;
+  };
+
+  // Put a pool puzzle on an empty date. Returns the pool entry used, or null
+  // when the policy is none, the date already has a puzzle or the pool is
+  // empty at that level.
+  const fillGap = db.transaction((date, level) => {
+    if (FALLBACK_POLICY === 'none' || puzzleStore.get(date, level)) return null;
+
+    const candidates = statements.available.all(level).map(toEvergreen);
+    if (candidates.length === 0) return null;
+
+    const recent = new Set(statements.recentSolutions.all(addDays(date, -DUPLICATE_WINDOW_DAYS), date).map(row => row.solution));
+    const fresh = candidates.filter(candidate => !recent.has(candidate.puzzle.solution));
+    const entry = fresh.find(candidate => reuseIndex.check(date, level, candidate.puzzle).length === 0)
+      || fresh[0]
+      || candidates[0];
+
+    puzzleStore.create(date, level, entry.puzzle, {
+      changedBy: FALLBACK_CHANGED_BY,
+      reason: `Nothing was scheduled; evergreen puzzle ${entry.id}`
+    });
+    statements.markUsed.run(date, entry.id);
+
+    return get(entry.id);
+  });
+
+  // How the fallback stands against a calendar's gaps: pool puzzles left per
+  // level and how many gaps from `today` on it could not fill
+  const coverage = (gaps, today) => {
+    const available = availableCounts();
+    const uncovered = Object.fromEntries(LEVELS.map(level => {
+      const upcoming = gaps.filter(gap => gap.level === level && gap.date >= today).length;
+      return [level, FALLBACK_POLICY === 'none' ? upcoming : Math.max(0, upcoming - available[level])];
+    }));
+
+    return { policy: FALLBACK_POLICY, available, uncovered };
+  };
+
+  return {
+    add,
+    get,
+    list,
+    remove,
+    sameSolution,
+    availableCounts,
+    fillGap,
+    coverage
+  };
+};
+
+module.exports = {
+  FALLBACK_POLICIES,
+  FALLBACK_POLICY,
+  createEvergreenPool
+};
@@ -0,0 +1,110 @@
+// leaderboards.js
+// Daily, weekly and all-time rankings per level, built from solves.
+//
+// A solve's score is its time in seconds plus a penalty for each hint, lower
+// being better. Only verified solves made on the puzzle's release day count,
+// so nobody can top a board by replaying an old puzzle they already know, or
+// with an implausibly quick time (see solves.js).
+// Over more than one day players are ranked by puzzles solved, then by their
+// total score.
+
+const { addDays } = require('./release-clock');
+
+const HINT_PENALTY_SECONDS = 30;
+const DEFAULT_BOARD_SIZE = 25;
+const MAX_BOARD_SIZE = 100;
+const PERIODS = ['daily', 'weekly', 'all-time'];
+const WEEK_DAYS = 7;
+
+// The date range a board covers, ending on `date`
+const periodRange = (period, date) => {
+  if (period === 'daily') return { from: date, to: date };
+  if (period === 'weekly') return { from: addDays(date, -(WEEK_DAYS - 1)), to: date };
+  return { from: '0000-01-01', to: date };
+};
+
+const toEntry = (row) => ({
+  rank: row.rank,
+  playerId: row.public_id,
+  displayName: row.display_name,
+  solved: row.solved,
+  score: row.score,
+  elapsedSeconds: row.elapsed_seconds,
+  hintsUsed: row.hints_used
+});
+
+const createLeaderboards = (db) => {
+  const ranked = `
+    WITH entries AS (
+      SELECT
+        player_id,
+        COUNT(*) as solved,
+        SUM(elapsed_seconds + hints_used * ${HINT_PENALTY_SECONDS}) as score,
+        SUM(elapsed_seconds) as elapsed_seconds,
+        SUM(hints_used) as hints_used,
+        MIN(solved_at) as first_solved_at
+      FROM solves
+      WHERE puzzle_level = ? AND puzzle_date BETWEEN ? AND ? AND verified = 1 AND on_release_day = 1
+      GROUP BY player_id
+    ),
+    ranked AS (
+      SELECT
+        entries.*,
+        RANK() OVER (ORDER BY solved DESC, score ASC) as rank,
+        ROW_NUMBER() OVER (ORDER BY solved DESC, score ASC, first_solved_at ASC, player_id ASC) as position
+      FROM entries
+    )
+  `;
+
+  const statements = {
+    page: db.prepare(`
+      ${ranked}
+      SELECT ranked.*, p.public_id, p.display_name
+      FROM ranked JOIN players p ON p.id = ranked.player_id
+      WHERE position > ? AND position <= ?
+      ORDER BY position
+    `),
+    entry: db.prepare(`
+      ${ranked}
+      SELECT ranked.*, p.public_id, p.display_name
+      FROM ranked JOIN players p ON p.id = ranked.player_id
+      WHERE ranked.player_id = ?
+    `),
+    count: db.prepare(`
+      SELECT COUNT(DISTINCT player_id) as count FROM solves
+      WHERE puzzle_level = ? AND puzzle_date BETWEEN ? AND ? AND verified = 1 AND on_release_day = 1
+    `)
+  };
+
+  // One page of a board. `me` is the entry of playerId (null if they aren't
+  // on the board); with `around` the page is centred on it instead of
+  // starting at `offset`.
+  const getBoard = ({ level, period, date, limit = DEFAULT_BOARD_SIZE, offset = 0, playerId = null, around = false }) => {
+    const { from, to } = periodRange(period, date);
+    const range = [level, from, to];
+
+    const mine = playerId === null ? null : statements.entry.get(...range, playerId);
+    const start = around && mine ? Math.max(0, mine.position - 1 - Math.floor(limit / 2)) : offset;
+
+    return {
+      level,
+      period,
+      from: period === 'all-time' ? null : from,
+      to,
+      offset: start,
+      total: statements.count.get(...range).count,
+      entries: statements.page.all(...range, start, start + limit).map(toEntry),
+      me: mine ? toEntry(mine) : null
+    };
+  };
+
+  return { getBoard };
+};
+
+module.exports = {
+  HINT_PENALTY_SECONDS,
+  DEFAULT_BOARD_SIZE,
+  MAX_BOARD_SIZE,
+  PERIODS,
+  createLeaderboards
+};
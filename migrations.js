@@ -0,0 +1,526 @@
+// migrations.js
+// Versioned schema changes. Each migration runs once, in its own transaction,
+// and is recorded in schema_migrations. Never edit a migration that has shipped:
+// add a new one to the end of the list instead.
+
+const crypto = require('crypto');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_puzzles_and_analytics',
+    // Matches the schema databases were created with before migrations existed,
+    // so it is a no-op on those and creates the tables on a fresh file
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS daily_puzzles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          puzzle_date DATE UNIQUE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL,
+          puzzle_data TEXT NOT NULL CHECK (json_valid(puzzle_data)),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_puzzle_date ON daily_puzzles(puzzle_date);
+
+        CREATE TABLE IF NOT EXISTS analytics (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_type TEXT NOT NULL,
+          user_id TEXT,
+          puzzle_date DATE,
+          user_agent TEXT,
+          ip_address TEXT,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          metadata TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(DATE(timestamp));
+        CREATE INDEX IF NOT EXISTS idx_analytics_event ON analytics(event_type);
+        CREATE INDEX IF NOT EXISTS idx_analytics_user ON analytics(user_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'unique_puzzle_per_date_and_level',
+    // puzzle_date alone was UNIQUE, so saving a CH puzzle replaced that day's CL
+    // puzzle. SQLite can't change a constraint in place, so rebuild the table.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE daily_puzzles_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL CHECK (puzzle_level IN ('CL', 'CH')),
+          puzzle_data TEXT NOT NULL CHECK (json_valid(puzzle_data)),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (puzzle_date, puzzle_level)
+        );
+
+        INSERT INTO daily_puzzles_new (id, puzzle_date, puzzle_level, puzzle_data, created_at, updated_at)
+        SELECT id, puzzle_date, UPPER(puzzle_level), puzzle_data, created_at, updated_at
+        FROM daily_puzzles;
+
+        DROP TABLE daily_puzzles;
+        ALTER TABLE daily_puzzles_new RENAME TO daily_puzzles;
+      `);
+
+      // Leftover from a typo in an early setup script. Keep anything it holds.
+      const typoTable = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'dailey_puzzles'").get();
+      if (typoTable) {
+        db.exec(`
+          INSERT OR IGNORE INTO daily_puzzles (puzzle_date, puzzle_level, puzzle_data, created_at, updated_at)
+          SELECT puzzle_date, UPPER(puzzle_level), puzzle_data, created_at, updated_at
+          FROM dailey_puzzles;
+
+          DROP TABLE dailey_puzzles;
+        `);
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'puzzle_revisions_and_import_batches',
+    // Every write to daily_puzzles is recorded with the state before and after,
+    // so any change can be inspected and undone. Bulk imports share a batch id.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE import_batches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL,
+          created_by TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          rolled_back_at DATETIME,
+          rolled_back_by TEXT
+        );
+
+        CREATE TABLE puzzle_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL,
+          action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+          puzzle_data TEXT CHECK (puzzle_data IS NULL OR json_valid(puzzle_data)),
+          previous_data TEXT CHECK (previous_data IS NULL OR json_valid(previous_data)),
+          version TEXT,
+          changed_by TEXT NOT NULL,
+          changed_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+          reason TEXT,
+          batch_id INTEGER REFERENCES import_batches(id)
+        );
+
+        CREATE INDEX idx_revisions_puzzle ON puzzle_revisions(puzzle_date, puzzle_level);
+        CREATE INDEX idx_revisions_batch ON puzzle_revisions(batch_id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'api_keys',
+    // Named keys with their own scopes. Only a SHA-256 hash of each key is
+    // stored; key_prefix is the public part used to find the row.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL UNIQUE,
+          key_hash TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME,
+          last_used_at DATETIME,
+          revoked_at DATETIME
+        );
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'players_and_progress',
+    // Players start anonymous with a server-issued token and can attach an
+    // email later. public_id is what analytics records, never the token.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE players (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          public_id TEXT NOT NULL UNIQUE,
+          email TEXT UNIQUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE player_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          player_id INTEGER NOT NULL REFERENCES players(id),
+          token_hash TEXT NOT NULL UNIQUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          revoked_at DATETIME
+        );
+
+        CREATE TABLE magic_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          player_id INTEGER NOT NULL REFERENCES players(id),
+          email TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL,
+          used_at DATETIME
+        );
+
+        CREATE TABLE puzzle_progress (
+          player_id INTEGER NOT NULL REFERENCES players(id),
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL,
+          grid TEXT NOT NULL CHECK (json_valid(grid)),
+          hints_used INTEGER NOT NULL DEFAULT 0,
+          elapsed_seconds INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+          PRIMARY KEY (player_id, puzzle_date, puzzle_level)
+        );
+
+        CREATE INDEX idx_player_tokens_player ON player_tokens(player_id);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'solves',
+    // One row per player per puzzle they completed. on_release_day records
+    // whether it was solved while it was that day's puzzle, which is what
+    // streaks count; it is fixed at solve time so later changes to the release
+    // clock don't rewrite anyone's history.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE solves (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          player_id INTEGER NOT NULL REFERENCES players(id),
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL CHECK (puzzle_level IN ('CL', 'CH')),
+          elapsed_seconds INTEGER NOT NULL CHECK (elapsed_seconds >= 0),
+          hints_used INTEGER NOT NULL DEFAULT 0,
+          attempts INTEGER NOT NULL DEFAULT 1 CHECK (attempts >= 1),
+          on_release_day INTEGER NOT NULL DEFAULT 0,
+          solved_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+          UNIQUE (player_id, puzzle_date, puzzle_level)
+        );
+
+        CREATE INDEX idx_solves_puzzle ON solves(puzzle_date, puzzle_level);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'leaderboards',
+    // Leaderboards only count solves whose grid was checked against the puzzle.
+    // Solves recorded before that check existed keep verified = 0.
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE solves ADD COLUMN verified INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE players ADD COLUMN display_name TEXT;
+
+        CREATE INDEX idx_solves_board ON solves(puzzle_level, puzzle_date) WHERE verified = 1 AND on_release_day = 1;
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'attempts_and_shares',
+    // Each full grid a player checks is an attempt. Only which rows and
+    // columns hit their targets is kept, which is all a share card shows.
+    // A solve copies its attempts and gets a public share_id when first shared.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          player_id INTEGER NOT NULL REFERENCES players(id),
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL,
+          row_hits TEXT NOT NULL CHECK (json_valid(row_hits)),
+          col_hits TEXT NOT NULL CHECK (json_valid(col_hits)),
+          created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+        );
+
+        CREATE INDEX idx_attempts_puzzle ON attempts(player_id, puzzle_date, puzzle_level);
+
+        ALTER TABLE solves ADD COLUMN attempt_results TEXT CHECK (attempt_results IS NULL OR json_valid(attempt_results));
+        ALTER TABLE solves ADD COLUMN share_id TEXT;
+
+        CREATE UNIQUE INDEX idx_solves_share ON solves(share_id);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'evergreen_puzzles',
+    // Reserved puzzles without a date, used to fill a day nobody scheduled.
+    // used_date is set once one has been put on a day, so each is used once.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE evergreen_puzzles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          puzzle_level CHAR(2) NOT NULL CHECK (puzzle_level IN ('CL', 'CH')),
+          puzzle_data TEXT NOT NULL CHECK (json_valid(puzzle_data)),
+          added_by TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          used_date DATE,
+          used_at DATETIME
+        );
+
+        CREATE INDEX idx_evergreen_available ON evergreen_puzzles(puzzle_level, id) WHERE used_date IS NULL;
+        CREATE UNIQUE INDEX idx_evergreen_used ON evergreen_puzzles(used_date, puzzle_level);
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'word_usage',
+    // Every solution and corner word with the date it was used, for spotting
+    // reuse. pattern is the word's letters in alphabetical order, shared by
+    // all its anagrams. The puzzle store keeps this in step with daily_puzzles.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE word_usage (
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL,
+          role TEXT NOT NULL CHECK (role IN ('solution', 'word')),
+          word TEXT NOT NULL,
+          pattern TEXT NOT NULL,
+          PRIMARY KEY (puzzle_date, puzzle_level, role, word)
+        );
+
+        CREATE INDEX idx_word_usage_word ON word_usage(word, puzzle_date);
+        CREATE INDEX idx_word_usage_pattern ON word_usage(pattern, puzzle_date);
+      `);
+
+      const insert = db.prepare(`
+        INSERT OR IGNORE INTO word_usage (puzzle_date, puzzle_level, role, word, pattern)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      const pattern = (word) => [...word].sort().join('');
+
+      for (const row of db.prepare('SELECT puzzle_date, puzzle_level, puzzle_data FROM daily_puzzles').all()) {
+        const puzzle = JSON.parse(row.puzzle_data);
+        const solution = String(puzzle.solution || '').toUpperCase();
+        if (solution) insert.run(row.puzzle_date, row.puzzle_level, 'solution', solution, pattern(solution));
+
+        for (const entry of Array.isArray(puzzle.words) ? puzzle.words : []) {
+          const word = String(entry.word || '').toUpperCase();
+          if (word) insert.run(row.puzzle_date, row.puzzle_level, 'word', word, pattern(word));
+        }
+      }
+    }
+  },
+  {
+    version: 11,
+    name: 'dictionary_words',
+    // Changes made to the dictionary through the API, on top of the word list
+    // files. A NULL status leaves the files' verdict alone (the row only sets a
+    // frequency); 'removed' takes a word out of the allowed list.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE dictionary_words (
+          word TEXT PRIMARY KEY,
+          status TEXT CHECK (status IS NULL OR status IN ('allowed', 'blocked', 'removed')),
+          frequency REAL CHECK (frequency IS NULL OR frequency >= 0),
+          changed_by TEXT NOT NULL,
+          changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'analytics_privacy',
+    // Events used to keep the full IP address and user agent, and user_id was
+    // an unsalted hash of the IP. Existing rows lose the address and user
+    // agent, and their user_ids are re-keyed with a random key that is thrown
+    // away, so they still count distinct visitors but lead back to nobody.
+    // See analytics-privacy.js for what new events store.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE analytics_salts (
+          day DATE PRIMARY KEY,
+          salt TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE analytics_archive (
+          day DATE NOT NULL,
+          event_type TEXT NOT NULL,
+          events INTEGER NOT NULL,
+          visitors INTEGER NOT NULL,
+          PRIMARY KEY (day, event_type)
+        );
+
+        CREATE INDEX idx_analytics_timestamp ON analytics(timestamp);
+      `);
+
+      const key = crypto.randomBytes(32);
+      db.function('rekey_user_id', (userId) => (
+        userId === null ? null : crypto.createHmac('sha256', key).update(userId).digest('hex').substring(0, 16)
+      ));
+      db.exec('UPDATE analytics SET user_id = rekey_user_id(user_id), ip_address = NULL, user_agent = NULL');
+    }
+  },
+  {
+    version: 13,
+    name: 'analytics_level',
+    // Events about a puzzle record its level in a column of their own, so
+    // reports can split by level. Older events had it in metadata, if at all.
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE analytics ADD COLUMN puzzle_level CHAR(2) CHECK (puzzle_level IS NULL OR puzzle_level IN ('CL', 'CH'));
+
+        UPDATE analytics
+        SET puzzle_level = UPPER(json_extract(metadata, '$.level'))
+        WHERE json_valid(metadata) AND UPPER(json_extract(metadata, '$.level')) IN ('CL', 'CH');
+
+        CREATE INDEX idx_analytics_puzzle ON analytics(puzzle_date, puzzle_level, event_type);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'analytics_rollups',
+    // Hourly and daily counts kept up to date by the aggregator in
+    // analytics-rollups.js, so stats don't scan raw events. scope is 'all'
+    // or a level: visitors can't be added up across event types or levels.
+    // They take over from analytics_archive: its counts move to
+    // analytics_daily, and the busiest event type's visitors stand in for the
+    // day's, which can only undercount.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE analytics_hourly (
+          hour TEXT NOT NULL,
+          scope TEXT NOT NULL CHECK (scope IN ('all', 'CL', 'CH')),
+          events INTEGER NOT NULL,
+          visitors INTEGER NOT NULL,
+          PRIMARY KEY (hour, scope)
+        );
+
+        CREATE TABLE analytics_daily_visitors (
+          day DATE NOT NULL,
+          scope TEXT NOT NULL CHECK (scope IN ('all', 'CL', 'CH')),
+          events INTEGER NOT NULL,
+          visitors INTEGER NOT NULL,
+          PRIMARY KEY (day, scope)
+        );
+
+        CREATE TABLE analytics_daily (
+          day DATE NOT NULL,
+          event_type TEXT NOT NULL,
+          puzzle_level CHAR(2),
+          events INTEGER NOT NULL,
+          visitors INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_analytics_daily ON analytics_daily(day, puzzle_level);
+
+        CREATE TABLE analytics_daily_puzzles (
+          day DATE NOT NULL,
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2),
+          event_type TEXT NOT NULL,
+          events INTEGER NOT NULL,
+          visitors INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_analytics_daily_puzzles ON analytics_daily_puzzles(day, event_type);
+
+        -- The last raw event the aggregator has counted
+        CREATE TABLE analytics_rollup_state (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          last_event_id INTEGER NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO analytics_rollup_state (id, last_event_id) VALUES (1, 0);
+
+        INSERT INTO analytics_daily (day, event_type, puzzle_level, events, visitors)
+        SELECT day, event_type, NULL, events, visitors FROM analytics_archive;
+
+        INSERT INTO analytics_daily_visitors (day, scope, events, visitors)
+        SELECT day, 'all', SUM(events), MAX(visitors) FROM analytics_archive GROUP BY day;
+
+        DROP TABLE analytics_archive;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'analytics_client_events',
+    // Events are written in batches, and client events can be queued offline
+    // and resent: timestamp is when the event happened, received_at when the
+    // server got it, and client_event_id lets a resent event be recognised.
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE analytics ADD COLUMN received_at DATETIME;
+        ALTER TABLE analytics ADD COLUMN client_event_id TEXT;
+
+        CREATE UNIQUE INDEX idx_analytics_client_event ON analytics(client_event_id) WHERE client_event_id IS NOT NULL;
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'puzzle_sessions',
+    // When each player first opened each puzzle and how many hints the server
+    // gave them, so a solve's time and hints come from the server rather than
+    // the client. Solves recorded before this keep the client's figures.
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE puzzle_sessions (
+          player_id INTEGER NOT NULL REFERENCES players(id),
+          puzzle_date DATE NOT NULL,
+          puzzle_level CHAR(2) NOT NULL,
+          started_at DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+          hints_used INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (player_id, puzzle_date, puzzle_level)
+        );
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'analytics_client_events_per_sender',
+    // Client eventIds only have to be unique per sender. Unique across
+    // everyone, one client could get another's events dropped as duplicates
+    // by sending their eventIds first.
+    up: (db) => {
+      db.exec(`
+        DROP INDEX idx_analytics_client_event;
+        CREATE UNIQUE INDEX idx_analytics_client_event ON analytics(user_id, client_event_id) WHERE client_event_id IS NOT NULL;
+      `);
+    }
+  }
+];
+
+const runMigrations = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      recordMigration.run(migration.version, migration.name);
+    })();
+
+    console.log(`✓ Applied migration ${migration.version}: ${migration.name}`);
+  }
+};
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
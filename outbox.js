@@ -0,0 +1,24 @@
+// outbox.js
+// Outgoing email. There is no mail provider yet, so every message is written
+// as a text file to OUTBOX_DIR (default ./outbox) where it can be opened in dev.
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, 'outbox');
+
+// Returns the path of the written message
+const sendMail = ({ to, subject, text }) => {
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(OUTBOX_DIR, `${stamp}-${to.replace(/[^A-Za-z0-9@._-]/g, '_')}.txt`);
+
+  fs.writeFileSync(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+  return file;
+};
+
+module.exports = {
+  OUTBOX_DIR,
+  sendMail
+};
@@ -0,0 +1,151 @@
+// player-view.js
+// What players are allowed to see of a puzzle: the tiles and the targets, but
+// never the solution, the words or where the letters go. Answers are checked
+// and hints handed out on the server instead.
+
+const {
+  GRID_SIZE,
+  WORD_LENGTH,
+  SOLUTION_LENGTH,
+  ROWS,
+  COLS,
+  QUADRANTS,
+  letterValue,
+  letterKey,
+  findArrangements
+} = require('./puzzle-validator');
+
+// Hints reveal the corner words first, then individual cells starting from the
+// centre (which sits in every corner) and working out to the edges and corners
+const HINT_CELL_ORDER = [4, 1, 3, 5, 7, 0, 2, 6, 8];
+const MAX_HINTS = QUADRANTS.length + HINT_CELL_ORDER.length;
+
+// Every grid that meets the puzzle's targets
+const arrangements = (puzzle, limit = Infinity) => findArrangements({
+  letters: puzzle.solution.split(''),
+  words: puzzle.words.map(entry => entry.word),
+  targets: puzzle.targets,
+  limit
+});
+
+// The answer grid for a stored puzzle, or null if its targets allow none. If
+// they allow more than one, it is the one that agrees with most of the
+// player's filled cells (and the first without any), so a player working
+// towards another valid answer isn't told they are wrong.
+const solveGrid = (puzzle, cells = null) => {
+  const grids = arrangements(puzzle, cells ? Infinity : 1);
+  if (grids.length === 0) return null;
+  if (!cells) return grids[0];
+
+  const agreement = (grid) => grid.filter((letter, c) => cells[c] === letter).length;
+  return grids.reduce((best, grid) => (agreement(grid) > agreement(best) ? grid : best));
+};
+
+const toPlayerView = (puzzle) => ({
+  // Tiles are sorted so their order gives nothing away
+  letters: puzzle.solution.split('').sort().map(letter => ({ letter, value: letterValue(letter) })),
+  targets: puzzle.targets,
+  gridSize: GRID_SIZE,
+  wordCount: puzzle.words.length,
+  wordLength: WORD_LENGTH
+});
+
+// The first `count` hints of the progressive reveal, towards the answer
+// closest to the player's grid if there is one
+const getHints = (puzzle, count, cells = null) => {
+  const grid = solveGrid(puzzle, cells);
+  if (!grid) return [];
+
+  const wordFor = (cells) => {
+    const key = letterKey(cells.map(c => grid[c]));
+    return puzzle.words.find(entry => letterKey(entry.word) === key).word;
+  };
+
+  const hints = [
+    ...QUADRANTS.map((cells, quadrant) => ({ type: 'word', quadrant, word: wordFor(cells) })),
+    ...HINT_CELL_ORDER.map(cell => ({ type: 'cell', cell, letter: grid[cell] }))
+  ];
+
+  return hints.slice(0, Math.max(0, Math.min(count, MAX_HINTS)));
+};
+
+// Accept a grid as an array of 9 letters or a 9-character string, with
+// null, '' or '.' marking empty cells
+const normalizeGrid = (grid) => {
+  const cells = typeof grid === 'string' ? grid.split('') : grid;
+  if (!Array.isArray(cells) || cells.length !== SOLUTION_LENGTH) return null;
+
+  const normalized = [];
+  for (const cell of cells) {
+    if (cell === null || cell === undefined || cell === '' || cell === '.') {
+      normalized.push(null);
+    } else if (typeof cell === 'string' && /^[A-Za-z]$/.test(cell)) {
+      normalized.push(cell.toUpperCase());
+    } else {
+      return null;
+    }
+  }
+  return normalized;
+};
+
+// Compare a player's guess against the answer. A guess can contain any of:
+//   solution - the 9-letter word
+//   grid     - a full or partial grid (see normalizeGrid)
+//   words    - guessed corner words
+// Only the parts that were guessed are reported back. The grid must already
+// have passed normalizeGrid and words must be an array.
+const checkGuess = (puzzle, guess) => {
+  const result = {};
+
+  if (guess.solution !== undefined) {
+    result.solution = {
+      correct: typeof guess.solution === 'string' && guess.solution.toUpperCase() === puzzle.solution
+    };
+  }
+
+  if (guess.grid !== undefined) {
+    const cells = normalizeGrid(guess.grid);
+    // Without an answer (targets nothing meets) only the lines can be judged
+    const answer = solveGrid(puzzle, cells);
+    const filled = (group) => group.every(c => cells[c] !== null);
+    const lineSum = (group) => group.reduce((total, c) => total + letterValue(cells[c]), 0);
+
+    result.cells = cells.map((letter, c) => (letter === null || !answer ? null : letter === answer[c]));
+    result.rows = ROWS.map((group, r) => (filled(group) ? lineSum(group) === puzzle.targets.rows[r] : null));
+    result.cols = COLS.map((group, c) => (filled(group) ? lineSum(group) === puzzle.targets.cols[c] : null));
+    result.quadrants = QUADRANTS.map(group => (
+      filled(group) && answer ? letterKey(group.map(c => cells[c])) === letterKey(group.map(c => answer[c])) : null
+    ));
+    result.complete = cells.every(letter => letter !== null);
+    result.correct = answer !== null && result.cells.every(correct => correct === true);
+  }
+
+  if (guess.words !== undefined) {
+    const answers = puzzle.words.map(entry => entry.word);
+    result.words = guess.words.map(word => ({
+      word,
+      correct: typeof word === 'string' && answers.includes(word.toUpperCase())
+    }));
+  }
+
+  return result;
+};
+
+// Whether a complete grid (already through normalizeGrid) solves the puzzle.
+// Any arrangement that meets the targets counts, not only the stored one.
+const isSolution = (puzzle, cells) => {
+  if (cells.some(letter => letter === null)) return false;
+
+  const submitted = cells.join('');
+  return arrangements(puzzle).some(grid => grid.join('') === submitted);
+};
+
+module.exports = {
+  MAX_HINTS,
+  solveGrid,
+  toPlayerView,
+  getHints,
+  normalizeGrid,
+  checkGuess,
+  isSolution
+};
@@ -0,0 +1,189 @@
+// players.js
+// Player identities and saved progress. A player starts anonymous: the server
+// issues a token the client keeps and sends back in X-Player-Token. Signing in
+// with an email (magic link) attaches the email to the player, or, if another
+// device already signed in with that email, moves this device's progress and
+// solves over to that player so both devices share one identity.
+//
+// Tokens are random and only their SHA-256 hash is stored.
+
+const crypto = require('crypto');
+
+const LOGIN_LINK_TTL_MINUTES = 15;
+
+const newToken = (prefix) => `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toPlayer = (row) => row && {
+  id: row.id,
+  publicId: row.public_id,
+  email: row.email,
+  displayName: row.display_name,
+  createdAt: row.created_at,
+  lastSeenAt: row.last_seen_at
+};
+
+const toProgress = (row) => row && {
+  date: row.puzzle_date,
+  level: row.puzzle_level,
+  grid: JSON.parse(row.grid),
+  hintsUsed: row.hints_used,
+  elapsedSeconds: row.elapsed_seconds,
+  updatedAt: row.updated_at
+};
+
+const createPlayerStore = (db) => {
+  const statements = {
+    insertPlayer: db.prepare('INSERT INTO players (public_id) VALUES (?)'),
+    getPlayer: db.prepare('SELECT * FROM players WHERE id = ?'),
+    getPlayerByEmail: db.prepare('SELECT * FROM players WHERE email = ?'),
+    getPlayerByToken: db.prepare(`
+      SELECT p.* FROM player_tokens t
+      JOIN players p ON p.id = t.player_id
+      WHERE t.token_hash = ? AND t.revoked_at IS NULL
+    `),
+    touchPlayer: db.prepare(`
+      UPDATE players SET last_seen_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND last_seen_at < datetime('now', '-1 minute')
+    `),
+    setEmail: db.prepare('UPDATE players SET email = ? WHERE id = ?'),
+    setDisplayName: db.prepare('UPDATE players SET display_name = ? WHERE id = ?'),
+    insertToken: db.prepare('INSERT INTO player_tokens (player_id, token_hash) VALUES (?, ?)'),
+    revokeTokens: db.prepare('UPDATE player_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE player_id = ? AND revoked_at IS NULL'),
+    insertLoginLink: db.prepare(`
+      INSERT INTO magic_links (player_id, email, token_hash, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `),
+    getLoginLink: db.prepare(`
+      SELECT *, expires_at <= CURRENT_TIMESTAMP as expired FROM magic_links WHERE token_hash = ?
+    `),
+    useLoginLink: db.prepare('UPDATE magic_links SET used_at = CURRENT_TIMESTAMP WHERE id = ?'),
+    getProgress: db.prepare(`
+      SELECT * FROM puzzle_progress WHERE player_id = ? AND puzzle_date = ? AND puzzle_level = ?
+    `),
+    listProgress: db.prepare(`
+      SELECT * FROM puzzle_progress WHERE player_id = ?
+      ORDER BY puzzle_date DESC, puzzle_level ASC
+    `),
+    saveProgress: db.prepare(`
+      INSERT INTO puzzle_progress (player_id, puzzle_date, puzzle_level, grid, hints_used, elapsed_seconds)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (player_id, puzzle_date, puzzle_level) DO UPDATE SET
+        grid = excluded.grid,
+        hints_used = excluded.hints_used,
+        elapsed_seconds = excluded.elapsed_seconds,
+        updated_at = excluded.updated_at
+    `),
+    // Copy one player's progress to another, keeping whichever copy of each
+    // puzzle was saved most recently
+    mergeProgress: db.prepare(`
+      INSERT INTO puzzle_progress (player_id, puzzle_date, puzzle_level, grid, hints_used, elapsed_seconds, updated_at)
+      SELECT ?, puzzle_date, puzzle_level, grid, hints_used, elapsed_seconds, updated_at
+      FROM puzzle_progress WHERE player_id = ? AND true
+      ON CONFLICT (player_id, puzzle_date, puzzle_level) DO UPDATE SET
+        grid = excluded.grid,
+        hints_used = excluded.hints_used,
+        elapsed_seconds = excluded.elapsed_seconds,
+        updated_at = excluded.updated_at
+      WHERE excluded.updated_at > puzzle_progress.updated_at
+    `),
+    deleteProgress: db.prepare('DELETE FROM puzzle_progress WHERE player_id = ?'),
+    // Puzzles both players solved keep the account's solve
+    moveSolves: db.prepare('UPDATE OR IGNORE solves SET player_id = ? WHERE player_id = ?'),
+    deleteSolves: db.prepare('DELETE FROM solves WHERE player_id = ?'),
+    moveAttempts: db.prepare('UPDATE attempts SET player_id = ? WHERE player_id = ?'),
+    // Puzzles both players opened keep the account's start time and hints
+    moveSessions: db.prepare('UPDATE OR IGNORE puzzle_sessions SET player_id = ? WHERE player_id = ?'),
+    deleteSessions: db.prepare('DELETE FROM puzzle_sessions WHERE player_id = ?')
+  };
+
+  const issueToken = (playerId) => {
+    const token = newToken('gp');
+    statements.insertToken.run(playerId, hashToken(token));
+    return token;
+  };
+
+  // A new anonymous player. Returns { player, token }.
+  const createPlayer = db.transaction(() => {
+    const result = statements.insertPlayer.run(crypto.randomBytes(8).toString('hex'));
+    const player = toPlayer(statements.getPlayer.get(result.lastInsertRowid));
+    return { player, token: issueToken(player.id) };
+  });
+
+  const findByToken = (token) => {
+    const player = toPlayer(statements.getPlayerByToken.get(hashToken(token)));
+    if (player) statements.touchPlayer.run(player.id);
+    return player;
+  };
+
+  // Start signing `player` in as `email`. Returns the one-time login token to
+  // put in the magic link.
+  const requestLogin = (player, email) => {
+    const token = newToken('gl');
+    statements.insertLoginLink.run(player.id, email, hashToken(token), `+${LOGIN_LINK_TTL_MINUTES} minutes`);
+    return token;
+  };
+
+  // Finish signing in with a magic link token. Returns { status } where status
+  // is 'invalid', 'expired' or 'signed_in'; a signed in result also has the
+  // player, a fresh token for it and how many puzzles' progress was merged.
+  const completeLogin = db.transaction((loginToken) => {
+    const link = statements.getLoginLink.get(hashToken(loginToken));
+    if (!link || link.used_at) return { status: 'invalid' };
+    if (link.expired) return { status: 'expired' };
+
+    statements.useLoginLink.run(link.id);
+
+    const requester = toPlayer(statements.getPlayer.get(link.player_id));
+    const account = toPlayer(statements.getPlayerByEmail.get(link.email));
+    let merged = 0;
+
+    if (!account) {
+      statements.setEmail.run(link.email, requester.id);
+    } else if (account.id !== requester.id) {
+      merged = statements.mergeProgress.run(account.id, requester.id).changes;
+      statements.deleteProgress.run(requester.id);
+      statements.moveSolves.run(account.id, requester.id);
+      statements.deleteSolves.run(requester.id);
+      statements.moveAttempts.run(account.id, requester.id);
+      statements.moveSessions.run(account.id, requester.id);
+      statements.deleteSessions.run(requester.id);
+      statements.revokeTokens.run(requester.id);
+    }
+
+    const player = toPlayer(statements.getPlayer.get(account ? account.id : requester.id));
+    return { status: 'signed_in', player, token: issueToken(player.id), merged };
+  });
+
+  // The name shown on leaderboards; null shows the player anonymously
+  const setDisplayName = (playerId, displayName) => {
+    statements.setDisplayName.run(displayName, playerId);
+    return toPlayer(statements.getPlayer.get(playerId));
+  };
+
+  const getProgress = (playerId, date, level) => toProgress(statements.getProgress.get(playerId, date, level));
+
+  const listProgress = (playerId) => statements.listProgress.all(playerId).map(toProgress);
+
+  const saveProgress = (playerId, date, level, { grid, hintsUsed, elapsedSeconds }) => {
+    statements.saveProgress.run(playerId, date, level, JSON.stringify(grid), hintsUsed, elapsedSeconds);
+    return getProgress(playerId, date, level);
+  };
+
+  return {
+    createPlayer,
+    findByToken,
+    requestLogin,
+    completeLogin,
+    setDisplayName,
+    getProgress,
+    listProgress,
+    saveProgress
+  };
+};
+
+module.exports = {
+  LOGIN_LINK_TTL_MINUTES,
+  createPlayerStore
+};
@@ -0,0 +1,90 @@
+// puzzle-calendar.js
+// Which days have puzzles scheduled, so a missing one is noticed before
+// players hit it. A gap is a date with no puzzle at a level. A duplicate is a
+// puzzle whose solution word was already used, at either level, within the
+// look-back window before its date.
+
+const { addDays } = require('./release-clock');
+const { LEVELS } = require('./puzzle-validator');
+
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS || '365', 10);
+
+if (!Number.isInteger(DUPLICATE_WINDOW_DAYS) || DUPLICATE_WINDOW_DAYS < 0) {
+  throw new Error(`DUPLICATE_WINDOW_DAYS must be a whole number of days, got ${process.env.DUPLICATE_WINDOW_DAYS}`);
+}
+
+const DEFAULT_CALENDAR_DAYS = 28;
+const MAX_CALENDAR_DAYS = 366;
+const MAX_WINDOW_DAYS = 3650;
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+const createCalendar = (db) => {
+  // A day is evergreen while it still holds the pool puzzle used on it. Once
+  // a real puzzle replaces that one, the pool entry stays as the record of
+  // the day's history but the day no longer counts as evergreen.
+  const statements = {
+    solutions: db.prepare(`
+      SELECT p.puzzle_date, p.puzzle_level, json_extract(p.puzzle_data, '$.solution') as solution,
+             e.id as evergreen_id
+      FROM daily_puzzles p
+      LEFT JOIN evergreen_puzzles e ON e.used_date = p.puzzle_date AND e.puzzle_level = p.puzzle_level
+        AND json(e.puzzle_data) = json(p.puzzle_data)
+      WHERE p.puzzle_date BETWEEN ? AND ?
+      ORDER BY p.puzzle_date, p.puzzle_level
+    `)
+  };
+
+  // Every date from `from` to `to` with its puzzle (or null) at each level.
+  // Gaps on or before `today` have already been seen by players.
+  const getCalendar = ({ from, to, today, levels = LEVELS, windowDays = DUPLICATE_WINDOW_DAYS }) => {
+    const rows = statements.solutions.all(addDays(from, -windowDays), to);
+
+    const scheduled = new Map();
+    const duplicates = [];
+    const lastUsed = new Map();
+
+    for (const row of rows) {
+      const previous = lastUsed.get(row.solution);
+      lastUsed.set(row.solution, { date: row.puzzle_date, level: row.puzzle_level });
+
+      if (row.puzzle_date < from || !levels.includes(row.puzzle_level)) continue;
+
+      const duplicate = previous !== undefined && previous.date >= addDays(row.puzzle_date, -windowDays);
+      if (duplicate) {
+        duplicates.push({ date: row.puzzle_date, level: row.puzzle_level, solution: row.solution, previous });
+      }
+
+      scheduled.set(`${row.puzzle_date} ${row.puzzle_level}`, {
+        solution: row.solution,
+        evergreen: row.evergreen_id !== null,
+        duplicate
+      });
+    }
+
+    const days = [];
+    const gaps = [];
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const puzzles = {};
+      for (const level of levels) {
+        puzzles[level] = scheduled.get(`${date} ${level}`) || null;
+        if (!puzzles[level]) gaps.push({ date, level, released: date <= today });
+      }
+      days.push({ date, puzzles });
+    }
+
+    return { from, to, levels, windowDays, days, gaps, duplicates };
+  };
+
+  return { getCalendar };
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  DEFAULT_CALENDAR_DAYS,
+  MAX_CALENDAR_DAYS,
+  MAX_WINDOW_DAYS,
+  daysBetween,
+  createCalendar
+};
@@ -0,0 +1,101 @@
+// puzzle-csv.js
+// The CSV layout for puzzles: a header row, then one puzzle per row.
+//
+//   date,level,word1,word2,word3,word4,row1,row2,row3,col1,col2,col3,solution
+//   2025-07-22,CL,CARD,CORN,GRID,COIR,32,30,12,18,37,19,ACCORDING
+//
+// word1..word4 are the corner words, row1..row3 the row targets from top to
+// bottom and col1..col3 the column targets from left to right. Letter values
+// are derived from the words, not given. Columns may come in any order.
+
+const { buildWord } = require('./puzzle-generator');
+
+const WORD_COLUMNS = ['word1', 'word2', 'word3', 'word4'];
+const ROW_COLUMNS = ['row1', 'row2', 'row3'];
+const COL_COLUMNS = ['col1', 'col2', 'col3'];
+const CSV_COLUMNS = ['date', 'level', ...WORD_COLUMNS, ...ROW_COLUMNS, ...COL_COLUMNS, 'solution'];
+
+// Turn parsed CSV records (see csv.js) into import entries. Returns
+// { entries, errors }: entries are { line, date, level, puzzle } and errors
+// are { line, date, level, message } for rows that couldn't be read at all.
+// Puzzle rules are checked later by the validator, not here.
+const csvToEntries = (records) => {
+  if (records.length === 0) {
+    return { entries: [], errors: [{ line: 1, message: 'File is empty' }] };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+  const missing = CSV_COLUMNS.filter(name => !columns.includes(name));
+  const unknown = columns.filter(name => !CSV_COLUMNS.includes(name));
+
+  if (missing.length > 0 || unknown.length > 0) {
+    return {
+      entries: [],
+      errors: [{
+        line: header.line,
+        message: [
+          missing.length > 0 ? `missing column(s) ${missing.join(', ')}` : null,
+          unknown.length > 0 ? `unknown column(s) ${unknown.join(', ')}` : null
+        ].filter(Boolean).join('; ') + `. Expected: ${CSV_COLUMNS.join(',')}`
+      }]
+    };
+  }
+
+  const entries = [];
+  const errors = [];
+
+  for (const { line, fields } of rows) {
+    if (fields.length !== columns.length) {
+      errors.push({ line, message: `Expected ${columns.length} fields, found ${fields.length}` });
+      continue;
+    }
+
+    const row = Object.fromEntries(columns.map((name, i) => [name, fields[i].trim()]));
+    const problems = [];
+
+    const letters = (name) => {
+      if (!/^[A-Za-z]+$/.test(row[name])) problems.push(`${name} must contain only letters`);
+      return row[name].toUpperCase();
+    };
+    const number = (name) => {
+      if (!/^\d+$/.test(row[name])) problems.push(`${name} must be a whole number`);
+      return Number(row[name]);
+    };
+
+    const puzzle = {
+      words: WORD_COLUMNS.map(name => buildWord(letters(name))),
+      targets: {
+        rows: ROW_COLUMNS.map(number),
+        cols: COL_COLUMNS.map(number)
+      },
+      solution: letters('solution')
+    };
+
+    if (problems.length > 0) {
+      errors.push({ line, date: row.date, level: row.level, message: problems.join('; ') });
+      continue;
+    }
+
+    entries.push({ line, date: row.date, level: row.level.toUpperCase(), puzzle });
+  }
+
+  return { entries, errors };
+};
+
+// The CSV fields for one puzzle, in CSV_COLUMNS order. The inverse of a row
+// read by csvToEntries.
+const puzzleToCSVFields = (date, level, puzzle) => [
+  date,
+  level,
+  ...puzzle.words.map(entry => entry.word),
+  ...puzzle.targets.rows,
+  ...puzzle.targets.cols,
+  puzzle.solution
+];
+
+module.exports = {
+  CSV_COLUMNS,
+  csvToEntries,
+  puzzleToCSVFields
+};
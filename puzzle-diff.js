@@ -0,0 +1,37 @@
+// puzzle-diff.js
+// Field-level differences between two puzzle_data values, for revision history
+// and import previews. Each change is { path, before, after } where path looks
+// like 'targets.rows[1]' and a missing side is undefined.
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+const joinPath = (base, key, isIndex) => {
+  if (isIndex) return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+const diffValues = (before, after, path = '', changes = []) => {
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const isArray = Array.isArray(before);
+    const keys = isArray
+      ? [...Array(Math.max(before.length, after.length)).keys()]
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    for (const key of keys) {
+      diffValues(before[key], after[key], joinPath(path, key, isArray), changes);
+    }
+    return changes;
+  }
+
+  if (before !== after) {
+    changes.push({ path: path || '(puzzle)', before, after });
+  }
+  return changes;
+};
+
+// null stands for "no puzzle" (before a create or after a delete)
+const diffPuzzles = (before, after) => diffValues(before === null ? undefined : before, after === null ? undefined : after);
+
+module.exports = {
+  diffPuzzles
+};
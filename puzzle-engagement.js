@@ -0,0 +1,145 @@
+// puzzle-engagement.js
+// How players get on with each puzzle, from analytics events. Every player
+// who sent any funnel event for a puzzle counts as having opened it; from
+// there they may attempt it, take hints, solve it or abandon it. The server
+// records its own checks, hints and solves next to what the game client
+// sends, so both names count for a stage and each player counts once.
+//
+// Players are analytics pseudonyms, which change every UTC day (see
+// analytics-privacy.js), so someone who plays across midnight UTC counts as
+// two players.
+
+const { LEVELS } = require('./puzzle-validator');
+
+const STAGE_EVENTS = {
+  started: ['puzzle_started'],
+  attempted: ['attempt', 'puzzle_checked'],
+  hinted: ['hint_used', 'hint_requested'],
+  solved: ['solved', 'puzzle_solved'],
+  abandoned: ['abandoned']
+};
+
+const FUNNEL_EVENTS = Object.values(STAGE_EVENTS).flat();
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+const inList = (types) => types.map(type => `'${type}'`).join(', ');
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// part / whole to three places, or null when there is no whole
+const ratio = (part, whole) => (whole === 0 ? null : Math.round((part / whole) * 1000) / 1000);
+
+// The funnel for a set of players, each { started, attempted, hinted, solved,
+// abandoned, hintsUsed, solveSeconds }
+const summarise = (players) => {
+  const solvers = players.filter(player => player.solved);
+  const attempted = players.filter(player => player.attempted || player.solved).length;
+  const hinted = players.filter(player => player.hinted || player.hintsUsed > 0).length;
+  const hintCounts = solvers.map(player => player.hintsUsed).filter(count => count !== null);
+
+  return {
+    players: players.length,
+    started: players.filter(player => player.started).length,
+    attempted,
+    solved: solvers.length,
+    abandoned: players.filter(player => player.abandoned && !player.solved).length,
+    completionRate: ratio(solvers.length, players.length),
+    medianSolveSeconds: median(solvers.map(player => player.solveSeconds).filter(seconds => seconds !== null)),
+    hints: {
+      players: hinted,
+      share: ratio(hinted, players.length),
+      averagePerSolve: hintCounts.length === 0
+        ? null
+        : Math.round((hintCounts.reduce((total, count) => total + count, 0) / hintCounts.length) * 100) / 100
+    },
+    // Share of players lost at each step: opened but never attempted, and
+    // attempted but never solved
+    dropOff: {
+      beforeAttempt: ratio(players.length - attempted, players.length),
+      afterAttempt: ratio(attempted - solvers.length, attempted)
+    }
+  };
+};
+
+const toPlayer = (row) => ({
+  date: row.puzzle_date,
+  level: row.puzzle_level,
+  started: row.started === 1,
+  attempted: row.attempted === 1,
+  hinted: row.hinted === 1,
+  solved: row.solved === 1,
+  abandoned: row.abandoned === 1,
+  hintsUsed: row.hints_used,
+  solveSeconds: row.solve_seconds
+});
+
+const createEngagementReports = (db) => {
+  const statements = {
+    // One row per player per puzzle. A player who solved twice (client and
+    // server both reporting) keeps the faster time.
+    players: db.prepare(`
+      SELECT
+        puzzle_date,
+        puzzle_level,
+        user_id,
+        MAX(event_type IN (${inList(STAGE_EVENTS.started)})) as started,
+        MAX(event_type IN (${inList(STAGE_EVENTS.attempted)})) as attempted,
+        MAX(event_type IN (${inList(STAGE_EVENTS.hinted)})) as hinted,
+        MAX(event_type IN (${inList(STAGE_EVENTS.solved)})) as solved,
+        MAX(event_type IN (${inList(STAGE_EVENTS.abandoned)})) as abandoned,
+        MAX(CASE WHEN event_type IN (${inList(STAGE_EVENTS.solved)}) THEN json_extract(metadata, '$.hintsUsed') END) as hints_used,
+        MIN(CASE WHEN event_type IN (${inList(STAGE_EVENTS.solved)}) THEN json_extract(metadata, '$.elapsedSeconds') END) as solve_seconds
+      FROM analytics
+      WHERE event_type IN (${inList(FUNNEL_EVENTS)})
+        AND puzzle_date BETWEEN @from AND @to
+        AND puzzle_level IS NOT NULL
+        AND (@level IS NULL OR puzzle_level = @level)
+      GROUP BY puzzle_date, puzzle_level, user_id
+    `)
+  };
+
+  // Per-puzzle funnels between from and to (puzzle dates), newest first, with
+  // the same figures for each level over the whole range (where a player
+  // counts once for every puzzle they played)
+  const puzzleReport = ({ from, to, level = null }) => {
+    const players = statements.players.all({ from, to, level }).map(toPlayer);
+
+    const puzzles = new Map();
+    for (const player of players) {
+      const key = `${player.date} ${player.level}`;
+      if (!puzzles.has(key)) puzzles.set(key, []);
+      puzzles.get(key).push(player);
+    }
+
+    const levels = Object.fromEntries((level ? [level] : LEVELS).map(name => [
+      name,
+      summarise(players.filter(player => player.level === name))
+    ]));
+
+    return {
+      from,
+      to,
+      level,
+      levels,
+      puzzles: [...puzzles.values()]
+        .map(group => ({ date: group[0].date, level: group[0].level, ...summarise(group) }))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.level.localeCompare(b.level))
+    };
+  };
+
+  return { puzzleReport };
+};
+
+module.exports = {
+  STAGE_EVENTS,
+  DEFAULT_REPORT_DAYS,
+  MAX_REPORT_DAYS,
+  createEngagementReports
+};
@@ -0,0 +1,72 @@
+// puzzle-export.js
+// Puzzles out of the database as JSON, NDJSON or CSV, shared by the export
+// CLI command and GET /api/puzzles/export.
+//
+// JSON is the array bulk-import.js reads ([{ date, level, data }]) and CSV is
+// the layout in puzzle-csv.js, so an export can be imported elsewhere as is.
+// NDJSON has one { date, level, data } object per line.
+//
+// Output is produced a page at a time, so a large export never holds the whole
+// table in memory or keeps the database connection busy between pages.
+
+const { formatCSVRow } = require('./csv');
+const { CSV_COLUMNS, puzzleToCSVFields } = require('./puzzle-csv');
+const { MAX_PAGE_SIZE, decodeCursor, queryPuzzles } = require('./puzzle-query');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Every puzzle matching `filters` (see puzzle-query.js), oldest first
+function* puzzleRows(db, filters) {
+  let cursor = null;
+  do {
+    const page = queryPuzzles(db, { ...filters, metaOnly: false }, { cursor, limit: MAX_PAGE_SIZE, ascending: true });
+    yield* page.rows;
+    cursor = page.nextCursor && decodeCursor(page.nextCursor);
+  } while (cursor);
+}
+
+// The export as a sequence of strings to write out in order. The generator's
+// return value is the number of puzzles exported.
+function* exportPuzzles(db, filters, format) {
+  let count = 0;
+  const rows = (function* () {
+    for (const row of puzzleRows(db, filters)) {
+      count++;
+      yield row;
+    }
+  })();
+
+  if (format === 'csv') {
+    yield formatCSVRow(CSV_COLUMNS);
+    for (const row of rows) {
+      yield formatCSVRow(puzzleToCSVFields(row.puzzle_date, row.puzzle_level, JSON.parse(row.puzzle_data)));
+    }
+    return count;
+  }
+
+  // puzzle_data is already JSON, so it is spliced in rather than re-encoded
+  const entry = (row) => `{"date":${JSON.stringify(row.puzzle_date)},"level":${JSON.stringify(row.puzzle_level)},"data":${row.puzzle_data}}`;
+
+  if (format === 'ndjson') {
+    for (const row of rows) yield `${entry(row)}\n`;
+    return count;
+  }
+
+  let first = true;
+  yield '[';
+  for (const row of rows) {
+    yield `${first ? '\n' : ',\n'}  ${entry(row)}`;
+    first = false;
+  }
+  yield first ? ']\n' : '\n]\n';
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportPuzzles
+};
@@ -0,0 +1,233 @@
+// puzzle-generator.js
+// Builds GramGrid puzzles from a word list. A 9-letter word is laid out in a
+// 3x3 grid so that every 2x2 corner is an anagram of a 4-letter word from the
+// list; the row and column sums of that grid become the targets.
+
+const fs = require('fs');
+const {
+  ROWS,
+  COLS,
+  QUADRANTS,
+  SOLUTION_LENGTH,
+  WORD_LENGTH,
+  letterValue,
+  letterKey,
+  validatePuzzle
+} = require('./puzzle-validator');
+const { solvePuzzle } = require('./puzzle-solver');
+
+// Same fill order as the validator: finish a corner as soon as possible
+const FILL_ORDER = [0, 1, 3, 4, 2, 5, 6, 7, 8];
+
+// Difficulty rules per level. Repeated letters and repeated targets give the
+// player fewer ways to tell tiles and lines apart, so Classic keeps them rare.
+// The difficulty range is the solver's 1-10 score (see puzzle-solver.js), which
+// counts the words' rarity when the word list carries it (see dictionary.js).
+const LEVEL_RULES = {
+  CL: {
+    minDistinctLetters: 6,
+    maxDistinctLetters: 9,
+    distinctTargets: true,
+    minDifficulty: 1,
+    maxDifficulty: 7
+  },
+  CH: {
+    minDistinctLetters: 5,
+    maxDistinctLetters: 7,
+    distinctTargets: false,
+    minDifficulty: 5,
+    maxDifficulty: 10
+  }
+};
+
+// How many layouts of one solution word to try before picking another word
+const MAX_GRIDS_PER_SOLUTION = 50;
+
+// Small seedable PRNG (mulberry32) so a seed always reproduces the same puzzles
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const pick = (items, random) => items[Math.floor(random() * items.length)];
+
+// Read a word list (one word per line, '#' starts a comment) and index the
+// 4-letter words by their letters so corners can be looked up as anagrams
+const loadWordList = (filePath) => {
+  const words = new Set(
+    fs.readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*/, '').trim().toUpperCase())
+      .filter(word => /^[A-Z]+$/.test(word))
+  );
+
+  const cornerWords = new Map();
+  const solutions = [];
+
+  for (const word of words) {
+    if (word.length === WORD_LENGTH) {
+      const key = letterKey(word);
+      if (!cornerWords.has(key)) cornerWords.set(key, []);
+      cornerWords.get(key).push(word);
+    } else if (word.length === SOLUTION_LENGTH) {
+      solutions.push(word);
+    }
+  }
+
+  // Sort so the same file and seed give the same result whatever the line order
+  solutions.sort();
+  return { cornerWords, solutions };
+};
+
+const buildWord = (word) => {
+  const letters = word.split('');
+  return { word, letters, values: letters.map(letterValue) };
+};
+
+const gridTargets = (grid) => ({
+  rows: ROWS.map(cells => cells.reduce((total, c) => total + letterValue(grid[c]), 0)),
+  cols: COLS.map(cells => cells.reduce((total, c) => total + letterValue(grid[c]), 0))
+});
+
+const meetsLevelRules = (grid, targets, rules) => {
+  const distinctLetters = new Set(grid).size;
+  if (distinctLetters < rules.minDistinctLetters || distinctLetters > rules.maxDistinctLetters) {
+    return false;
+  }
+
+  if (rules.distinctTargets) {
+    return new Set(targets.rows).size === targets.rows.length &&
+      new Set(targets.cols).size === targets.cols.length;
+  }
+
+  return true;
+};
+
+// Yield grids for `solution` whose four corners are all anagrams of different
+// corner words, in an order driven by `random`
+function* layoutGrids(solution, cornerWords, random) {
+  const remaining = {};
+  for (const letter of solution) {
+    remaining[letter] = (remaining[letter] || 0) + 1;
+  }
+
+  const grid = new Array(SOLUTION_LENGTH).fill(null);
+  const usedKeys = [];
+
+  function* place(step) {
+    if (step === FILL_ORDER.length) {
+      yield grid.slice();
+      return;
+    }
+
+    const cell = FILL_ORDER[step];
+    const completed = QUADRANTS.filter(cells => (
+      cells.includes(cell) && cells.every(c => c === cell || grid[c] !== null)
+    ));
+
+    for (const letter of shuffle(Object.keys(remaining), random)) {
+      if (remaining[letter] === 0) continue;
+
+      remaining[letter]--;
+      grid[cell] = letter;
+
+      const keys = completed.map(cells => letterKey(cells.map(c => grid[c])));
+      const usable = keys.every((key, i) => (
+        cornerWords.has(key) && !usedKeys.includes(key) && keys.indexOf(key) === i
+      ));
+
+      if (usable) {
+        usedKeys.push(...keys);
+        yield* place(step + 1);
+        usedKeys.splice(usedKeys.length - keys.length, keys.length);
+      }
+
+      grid[cell] = null;
+      remaining[letter]++;
+    }
+  }
+
+  yield* place(0);
+}
+
+// Try to turn one solution word into a puzzle for `level`. Returns null if no
+// layout gives a puzzle with a single answer that fits the level's rules.
+const puzzleFromSolution = (solution, wordList, level, random) => {
+  const rules = LEVEL_RULES[level];
+  let tried = 0;
+
+  for (const grid of layoutGrids(solution, wordList.cornerWords, random)) {
+    if (++tried > MAX_GRIDS_PER_SOLUTION) break;
+
+    const targets = gridTargets(grid);
+    if (!meetsLevelRules(grid, targets, rules)) continue;
+
+    const cornerWords = QUADRANTS.map(cells => (
+      pick(wordList.cornerWords.get(letterKey(cells.map(c => grid[c]))), random)
+    ));
+
+    const puzzle = {
+      words: shuffle(cornerWords, random).map(buildWord),
+      targets,
+      solution
+    };
+
+    if (!validatePuzzle(puzzle).valid) continue;
+
+    // Players must not be able to find a second valid grid
+    const { unique, difficulty } = solvePuzzle(puzzle, { wordRarity: wordList.wordRarity });
+    if (unique && difficulty.score >= rules.minDifficulty && difficulty.score <= rules.maxDifficulty) {
+      return puzzle;
+    }
+  }
+
+  return null;
+};
+
+// Generate `count` puzzles for `level`. Solutions in `exclude` (and ones already
+// generated in this run) are never reused. Stops early if the word list runs out.
+const generatePuzzles = (wordList, { level, count, seed, exclude = [] }) => {
+  if (!LEVEL_RULES[level]) {
+    throw new Error(`Unknown level ${level}. Use CL (Classic) or CH (Challenge)`);
+  }
+
+  const random = createRandom(seed);
+  const used = new Set(exclude);
+  const candidates = shuffle(wordList.solutions.filter(word => !used.has(word)), random);
+  const puzzles = [];
+
+  for (const solution of candidates) {
+    if (puzzles.length >= count) break;
+
+    const puzzle = puzzleFromSolution(solution, wordList, level, random);
+    if (puzzle) {
+      puzzles.push(puzzle);
+      used.add(solution);
+    }
+  }
+
+  return puzzles;
+};
+
+module.exports = {
+  LEVEL_RULES,
+  createRandom,
+  loadWordList,
+  buildWord,
+  generatePuzzles
+};
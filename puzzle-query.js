@@ -0,0 +1,167 @@
+// puzzle-query.js
+// Filtering and cursor pagination over daily_puzzles, shared by the archive
+// (/api/puzzles) and week (/api/puzzles/week) routes and by exports.
+//
+// Results are ordered newest first (then by level, CH before CL) unless asked
+// for oldest first. A cursor is the position of the last row of a page, so new
+// puzzles never shift later pages.
+
+const { isValidDate, isValidLevel } = require('./puzzle-validator');
+const { addDays } = require('./release-clock');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_SPAN_DAYS = 7;
+const MAX_SPAN_DAYS = 31;
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.puzzle_date, row.puzzle_level])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [date, level] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return isValidDate(date) && isValidLevel(level) ? { date, level } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse query-string filters. `allowed` limits which filters a route accepts.
+// Returns { filters } or { error } with a message for a 400 response.
+const parsePuzzleFilters = (query, { allowed = ['from', 'to', 'level', 'solution', 'word', 'fields'] } = {}) => {
+  const filters = {};
+
+  for (const name of ['from', 'to']) {
+    if (allowed.includes(name) && query[name] !== undefined) {
+      if (!isValidDate(query[name])) {
+        return { error: `Invalid ${name} date. Use YYYY-MM-DD` };
+      }
+      filters[name] = query[name];
+    }
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (allowed.includes('level') && query.level !== undefined) {
+    if (!isValidLevel(query.level)) {
+      return { error: 'Invalid level. Use CL (Classic) or CH (Challenge)' };
+    }
+    filters.level = query.level.toUpperCase();
+  }
+
+  for (const name of ['solution', 'word']) {
+    if (allowed.includes(name) && query[name] !== undefined) {
+      if (typeof query[name] !== 'string' || !/^[A-Za-z]+$/.test(query[name])) {
+        return { error: `${name} must contain only letters` };
+      }
+      filters[name] = query[name].toUpperCase();
+    }
+  }
+
+  if (allowed.includes('fields') && query.fields !== undefined) {
+    if (!['full', 'meta'].includes(query.fields)) {
+      return { error: 'fields must be full or meta' };
+    }
+    filters.metaOnly = query.fields === 'meta';
+  }
+
+  return { filters };
+};
+
+// Week-style window: `span` days ending on `anchor` (default: today)
+const parseWindow = (query, today) => {
+  const anchor = query.anchor || today;
+  const span = query.span === undefined ? DEFAULT_SPAN_DAYS : Number(query.span);
+
+  if (!isValidDate(anchor)) {
+    return { error: 'Invalid anchor date. Use YYYY-MM-DD' };
+  }
+  if (!Number.isInteger(span) || span < 1 || span > MAX_SPAN_DAYS) {
+    return { error: `span must be a whole number of days between 1 and ${MAX_SPAN_DAYS}` };
+  }
+
+  return { from: addDays(anchor, -(span - 1)), to: anchor };
+};
+
+const parsePageSize = (limit) => {
+  if (limit === undefined) return DEFAULT_PAGE_SIZE;
+  const size = Number(limit);
+  return Number.isInteger(size) && size >= 1 && size <= MAX_PAGE_SIZE ? size : null;
+};
+
+// Build the WHERE clause and parameters for a set of filters (and the cursor
+// of the previous page, in either direction)
+const buildWhere = (filters, cursor = null, ascending = false) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.from) {
+    conditions.push('puzzle_date >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('puzzle_date <= ?');
+    params.push(filters.to);
+  }
+  if (filters.level) {
+    conditions.push('puzzle_level = ?');
+    params.push(filters.level);
+  }
+  if (filters.solution) {
+    conditions.push("json_extract(puzzle_data, '$.solution') = ?");
+    params.push(filters.solution);
+  }
+  if (filters.word) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM json_each(daily_puzzles.puzzle_data, '$.words') w
+      WHERE json_extract(w.value, '$.word') = ?
+    )`);
+    params.push(filters.word);
+  }
+  if (cursor) {
+    conditions.push(`(puzzle_date ${ascending ? '>' : '<'} ? OR (puzzle_date = ? AND puzzle_level > ?))`);
+    params.push(cursor.date, cursor.date, cursor.level);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// One page of puzzles. Returns { rows, nextCursor } where nextCursor is null on
+// the last page. Rows are raw daily_puzzles rows. `ascending` pages oldest
+// first instead; a cursor only continues a listing in the same direction.
+const queryPuzzles = (db, filters, { cursor = null, limit = DEFAULT_PAGE_SIZE, ascending = false } = {}) => {
+  const { where, params } = buildWhere(filters, cursor, ascending);
+  const columns = filters.metaOnly
+    ? 'puzzle_date, puzzle_level, created_at, updated_at'
+    : 'puzzle_date, puzzle_level, puzzle_data, created_at, updated_at';
+
+  // Fetch one extra row to know whether another page exists
+  const rows = db.prepare(`
+    SELECT ${columns}
+    FROM daily_puzzles
+    ${where}
+    ORDER BY puzzle_date ${ascending ? 'ASC' : 'DESC'}, puzzle_level ASC
+    LIMIT ?
+  `).all(...params, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    rows: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  decodeCursor,
+  parsePuzzleFilters,
+  parseWindow,
+  parsePageSize,
+  queryPuzzles
+};
@@ -0,0 +1,84 @@
+// puzzle-solver.js
+// Enumerates every grid that satisfies a stored puzzle, so we can tell before
+// publishing whether the targets allow exactly one answer, and scores how hard
+// the puzzle is by how much searching that takes and how rare its words are.
+
+const { ROWS, QUADRANTS, letterKey, findArrangements } = require('./puzzle-validator');
+
+// Difficulty runs from 1 to 10. Each doubling of the search adds
+// DIFFICULTY_PER_DOUBLING points: ~512 letter placements scores 1, ~8192 scores 10.
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 10;
+const BASELINE_NODES_LOG2 = 9;
+const DIFFICULTY_PER_DOUBLING = 2.5;
+
+// Share of the score that comes from the words: all common words score the
+// search alone a little lower, all very rare words push it towards 10
+const VOCABULARY_WEIGHT = 0.3;
+
+const clampScore = (score) => Math.round(Math.min(MAX_DIFFICULTY, Math.max(MIN_DIFFICULTY, score)) * 10) / 10;
+
+// `vocabulary` is the words' average rarity from 0 to 1, or null to score the
+// search alone
+const difficultyScore = (nodes, vocabulary = null) => {
+  const search = clampScore((Math.log2(Math.max(nodes, 1)) - BASELINE_NODES_LOG2) * DIFFICULTY_PER_DOUBLING);
+  if (vocabulary === null) return search;
+
+  const words = MIN_DIFFICULTY + vocabulary * (MAX_DIFFICULTY - MIN_DIFFICULTY);
+  return clampScore(search * (1 - VOCABULARY_WEIGHT) + words * VOCABULARY_WEIGHT);
+};
+
+// Average rarity of the words that have one (see dictionary.js wordRarity)
+const vocabularyRarity = (words, wordRarity) => {
+  const known = words.map(word => wordRarity(word)).filter(rarity => rarity !== null);
+  if (known.length === 0) return null;
+  return Math.round((known.reduce((sum, rarity) => sum + rarity, 0) / known.length) * 100) / 100;
+};
+
+// Describe a solved grid: the grid as a string, its rows, and which word sits
+// in each 2x2 corner
+const describeGrid = (grid, words) => ({
+  grid: grid.join(''),
+  rows: ROWS.map(cells => cells.map(c => grid[c]).join('')),
+  corners: QUADRANTS.map(cells => {
+    const key = letterKey(cells.map(c => grid[c]));
+    return words.find(word => letterKey(word) === key);
+  })
+});
+
+// Solve a (valid) puzzle. `limit` caps how many solutions are collected; the
+// difficulty is only comparable between puzzles when the search runs to the end.
+// With wordRarity (word => 0..1 or null) the words' rarity counts towards it.
+const solvePuzzle = (puzzle, { limit = Infinity, wordRarity = null } = {}) => {
+  const words = puzzle.words.map(entry => entry.word);
+  const stats = {};
+
+  const grids = findArrangements({
+    letters: puzzle.solution.split(''),
+    words,
+    targets: puzzle.targets,
+    limit,
+    stats
+  });
+
+  const vocabulary = wordRarity ? vocabularyRarity([...words, puzzle.solution], wordRarity) : null;
+
+  return {
+    solutionCount: grids.length,
+    unique: grids.length === 1,
+    solutions: grids.map(grid => describeGrid(grid, words)),
+    difficulty: {
+      score: difficultyScore(stats.nodes, vocabulary),
+      search: difficultyScore(stats.nodes),
+      vocabulary,
+      nodes: stats.nodes,
+      deadEnds: stats.deadEnds,
+      branching: stats.branching
+    }
+  };
+};
+
+module.exports = {
+  difficultyScore,
+  solvePuzzle
+};
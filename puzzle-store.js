@@ -0,0 +1,301 @@
+// puzzle-store.js
+// Reads and writes rows of daily_puzzles. updated_at doubles as the row's
+// version: every write stores a new, strictly later value, and updates and
+// deletes can require the version the editor last saw so that two people
+// editing the same puzzle can't silently overwrite each other.
+//
+// Every write is also recorded in puzzle_revisions (who, when, before and
+// after), which is what restoring a revision and rolling back an import use,
+// and updates the word_usage index (see word-reuse.js).
+//
+// Write methods take { changedBy, reason, batchId } and return
+// { status, record, current } where status is one of 'created', 'updated',
+// 'deleted', 'not_found', 'exists' or 'conflict'.
+
+const { wordUsages } = require('./word-reuse');
+
+// Versions use SQLite's datetime format with milliseconds
+const formatVersion = (date) => date.toISOString().replace('T', ' ').replace('Z', '');
+
+// A version later than `previous`, even if two writes land in the same millisecond
+const nextVersion = (previous) => {
+  const now = formatVersion(new Date());
+  if (!previous || now > previous) return now;
+
+  const bumped = new Date(`${previous.replace(' ', 'T')}Z`);
+  bumped.setUTCMilliseconds(bumped.getUTCMilliseconds() + 1);
+  return formatVersion(bumped);
+};
+
+const toETag = (version) => `"${Buffer.from(version).toString('base64url')}"`;
+
+// Versions listed in an If-Match header. '*' matches any existing row.
+const versionsFromIfMatch = (header) => {
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+    .filter(Boolean)
+    .map(tag => Buffer.from(tag, 'base64url').toString());
+};
+
+// expected is null (no precondition), '*' or a list of acceptable versions
+const versionMatches = (expected, version) => (
+  expected === null || expected === undefined || expected === '*' || expected.includes(version)
+);
+
+const parseData = (data) => (data === null ? null : JSON.parse(data));
+
+const toRecord = (row) => row && {
+  date: row.puzzle_date,
+  level: row.puzzle_level,
+  puzzle: JSON.parse(row.puzzle_data),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  version: row.updated_at
+};
+
+const toRevision = (row, { withData = true } = {}) => row && {
+  id: row.id,
+  date: row.puzzle_date,
+  level: row.puzzle_level,
+  action: row.action,
+  version: row.version,
+  changedBy: row.changed_by,
+  changedAt: row.changed_at,
+  reason: row.reason,
+  batchId: row.batch_id,
+  ...(withData ? { puzzle: parseData(row.puzzle_data), previous: parseData(row.previous_data) } : {})
+};
+
+const toBatch = (row) => row && {
+  id: row.id,
+  source: row.source,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  rolledBackAt: row.rolled_back_at,
+  rolledBackBy: row.rolled_back_by,
+  puzzleCount: row.puzzle_count
+};
+
+const createPuzzleStore = (db) => {
+  const statements = {
+    get: db.prepare(`
+      SELECT puzzle_date, puzzle_level, puzzle_data, created_at, updated_at
+      FROM daily_puzzles
+      WHERE puzzle_date = ? AND puzzle_level = ?
+    `),
+    insert: db.prepare(`
+      INSERT INTO daily_puzzles (puzzle_date, puzzle_level, puzzle_data, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    update: db.prepare(`
+      UPDATE daily_puzzles SET puzzle_data = ?, updated_at = ?
+      WHERE puzzle_date = ? AND puzzle_level = ?
+    `),
+    remove: db.prepare('DELETE FROM daily_puzzles WHERE puzzle_date = ? AND puzzle_level = ?'),
+    insertRevision: db.prepare(`
+      INSERT INTO puzzle_revisions
+        (puzzle_date, puzzle_level, action, puzzle_data, previous_data, version, changed_by, reason, batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    listRevisions: db.prepare(`
+      SELECT * FROM puzzle_revisions
+      WHERE puzzle_date = ? AND puzzle_level = ?
+      ORDER BY id DESC
+    `),
+    getRevision: db.prepare('SELECT * FROM puzzle_revisions WHERE id = ?'),
+    batchRevisions: db.prepare('SELECT * FROM puzzle_revisions WHERE batch_id = ? ORDER BY id'),
+    insertBatch: db.prepare('INSERT INTO import_batches (source, created_by) VALUES (?, ?)'),
+    getBatch: db.prepare(`
+      SELECT b.*, (SELECT COUNT(*) FROM puzzle_revisions r WHERE r.batch_id = b.id) as puzzle_count
+      FROM import_batches b WHERE b.id = ?
+    `),
+    listBatches: db.prepare(`
+      SELECT b.*, (SELECT COUNT(*) FROM puzzle_revisions r WHERE r.batch_id = b.id) as puzzle_count
+      FROM import_batches b ORDER BY b.id DESC
+    `),
+    markRolledBack: db.prepare(`
+      UPDATE import_batches SET rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = ? WHERE id = ?
+    `),
+    clearUsage: db.prepare('DELETE FROM word_usage WHERE puzzle_date = ? AND puzzle_level = ?'),
+    insertUsage: db.prepare(`
+      INSERT OR IGNORE INTO word_usage (puzzle_date, puzzle_level, role, word, pattern)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+  };
+
+  const get = (date, level) => toRecord(statements.get.get(date, level));
+
+  // Put the row for date/level into the state `puzzle` (null deletes it) and
+  // record the change. `current` is the row as it is now.
+  const write = (date, level, puzzle, current, { changedBy = 'unknown', reason = null, batchId = null } = {}) => {
+    let action;
+    let version = null;
+
+    if (puzzle === null) {
+      action = 'delete';
+      statements.remove.run(date, level);
+    } else if (current) {
+      action = 'update';
+      version = nextVersion(current.version);
+      statements.update.run(JSON.stringify(puzzle), version, date, level);
+    } else {
+      action = 'create';
+      version = nextVersion(null);
+      statements.insert.run(date, level, JSON.stringify(puzzle), version, version);
+    }
+
+    statements.insertRevision.run(
+      date,
+      level,
+      action,
+      puzzle === null ? null : JSON.stringify(puzzle),
+      current ? JSON.stringify(current.puzzle) : null,
+      version,
+      changedBy,
+      reason,
+      batchId
+    );
+
+    statements.clearUsage.run(date, level);
+    if (puzzle !== null) {
+      wordUsages(puzzle).forEach(({ role, word, pattern }) => statements.insertUsage.run(date, level, role, word, pattern));
+    }
+
+    return action;
+  };
+
+  // Create a puzzle. An existing puzzle for the date and level is only
+  // replaced when `replace` is set.
+  const create = db.transaction((date, level, puzzle, { replace = false, ...meta } = {}) => {
+    const current = get(date, level);
+
+    if (current && !replace) {
+      return { status: 'exists', current };
+    }
+
+    const action = write(date, level, puzzle, current, meta);
+    return { status: action === 'create' ? 'created' : 'updated', record: get(date, level) };
+  });
+
+  const update = db.transaction((date, level, puzzle, { expectedVersion = null, ...meta } = {}) => {
+    const current = get(date, level);
+
+    if (!current) return { status: 'not_found' };
+    if (!versionMatches(expectedVersion, current.version)) return { status: 'conflict', current };
+
+    write(date, level, puzzle, current, meta);
+    return { status: 'updated', record: get(date, level) };
+  });
+
+  const remove = db.transaction((date, level, { expectedVersion = null, ...meta } = {}) => {
+    const current = get(date, level);
+
+    if (!current) return { status: 'not_found' };
+    if (!versionMatches(expectedVersion, current.version)) return { status: 'conflict', current };
+
+    write(date, level, null, current, meta);
+    return { status: 'deleted', record: current };
+  });
+
+  const listRevisions = (date, level) => (
+    statements.listRevisions.all(date, level).map(row => toRevision(row, { withData: false }))
+  );
+
+  const getRevision = (id) => toRevision(statements.getRevision.get(id));
+
+  // Put a puzzle back to the state recorded in one of its revisions. Restoring
+  // a delete revision deletes the puzzle again.
+  const restore = db.transaction((date, level, revisionId, { expectedVersion = null, ...meta } = {}) => {
+    const revision = getRevision(revisionId);
+    if (!revision || revision.date !== date || revision.level !== level) {
+      return { status: 'not_found' };
+    }
+
+    const current = get(date, level);
+    if (current && !versionMatches(expectedVersion, current.version)) {
+      return { status: 'conflict', current };
+    }
+    if (!current && revision.puzzle === null) {
+      return { status: 'deleted', record: null };
+    }
+
+    const action = write(date, level, revision.puzzle, current, {
+      reason: `Restore of revision ${revision.id}`,
+      ...meta
+    });
+
+    return {
+      status: { create: 'created', update: 'updated', delete: 'deleted' }[action],
+      record: get(date, level)
+    };
+  });
+
+  const startBatch = (source, createdBy) => Number(statements.insertBatch.run(source, createdBy).lastInsertRowid);
+
+  const getBatch = (id) => toBatch(statements.getBatch.get(id));
+
+  const listBatches = () => statements.listBatches.all().map(toBatch);
+
+  // Undo everything an import batch did. Refuses (status 'conflict') if any of
+  // its puzzles has been changed since the import, so later edits aren't lost.
+  const rollbackBatch = db.transaction((batchId, { changedBy = 'unknown' } = {}) => {
+    const batch = getBatch(batchId);
+    if (!batch) return { status: 'not_found' };
+    if (batch.rolledBackAt) return { status: 'already_rolled_back', batch };
+
+    // For each puzzle: the state before the batch's first change to it and
+    // the state after its last change
+    const puzzles = new Map();
+    for (const row of statements.batchRevisions.all(batchId)) {
+      const key = `${row.puzzle_date}|${row.puzzle_level}`;
+      if (!puzzles.has(key)) {
+        puzzles.set(key, { date: row.puzzle_date, level: row.puzzle_level, before: row.previous_data });
+      }
+      puzzles.get(key).after = row.puzzle_data;
+    }
+
+    const conflicts = [...puzzles.values()].filter(({ date, level, after }) => {
+      const current = get(date, level);
+      return (current ? JSON.stringify(current.puzzle) : null) !== after;
+    });
+
+    if (conflicts.length > 0) {
+      return { status: 'conflict', batch, puzzles: conflicts.map(({ date, level }) => ({ date, level })) };
+    }
+
+    const reverted = [];
+    for (const { date, level, before } of puzzles.values()) {
+      const action = write(date, level, parseData(before), get(date, level), {
+        changedBy,
+        reason: `Rollback of import batch ${batchId}`
+      });
+      reverted.push({ date, level, action });
+    }
+
+    statements.markRolledBack.run(changedBy, batchId);
+    return { status: 'rolled_back', batch: getBatch(batchId), puzzles: reverted };
+  });
+
+  return {
+    get,
+    create,
+    update,
+    remove,
+    listRevisions,
+    getRevision,
+    restore,
+    startBatch,
+    getBatch,
+    listBatches,
+    rollbackBatch
+  };
+};
+
+module.exports = {
+  toETag,
+  versionsFromIfMatch,
+  createPuzzleStore
+};
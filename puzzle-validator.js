@@ -0,0 +1,268 @@
+// puzzle-validator.js
+// Shared validation for GramGrid puzzle data.
+//
+// A puzzle is a 3x3 grid holding the nine letters of `solution`. Each of the four
+// overlapping 2x2 corners of the grid contains the letters of one of `words` (in
+// any order), and `targets.rows` / `targets.cols` are the sums of the letter
+// values (A=1 ... Z=26) along each row and column of that grid.
+
+const LEVELS = ['CL', 'CH'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const GRID_SIZE = 3;
+const WORD_COUNT = 4;
+const WORD_LENGTH = 4;
+const SOLUTION_LENGTH = GRID_SIZE * GRID_SIZE;
+
+// Cell indexes (row-major) that make up each row, column and 2x2 corner
+const ROWS = [[0, 1, 2], [3, 4, 5], [6, 7, 8]];
+const COLS = [[0, 3, 6], [1, 4, 7], [2, 5, 8]];
+const QUADRANTS = [[0, 1, 3, 4], [1, 2, 4, 5], [3, 4, 6, 7], [4, 5, 7, 8]];
+
+// Fill the grid so that a corner is completed as early as possible, which lets
+// the search throw away bad branches after a few letters
+const FILL_ORDER = [0, 1, 3, 4, 2, 5, 6, 7, 8];
+
+const letterValue = (letter) => letter.charCodeAt(0) - 64;
+
+// Order-independent key for a group of letters, e.g. 'CARD' -> 'ACDR'
+const letterKey = (letters) => [...letters].sort().join('');
+
+const sum = (numbers) => numbers.reduce((total, n) => total + n, 0);
+
+const sameArray = (a, b) => Array.isArray(a) && a.length === b.length && a.every((item, i) => item === b[i]);
+
+const countItems = (items) => {
+  const counts = {};
+  for (const item of items) {
+    counts[item] = (counts[item] || 0) + 1;
+  }
+  return counts;
+};
+
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+};
+
+const isValidLevel = (level) => typeof level === 'string' && LEVELS.includes(level.toUpperCase());
+
+// For each step of FILL_ORDER, the rows, columns and corners that become complete
+// once that cell has been placed
+const STEP_CHECKS = FILL_ORDER.map((cell, step) => {
+  const filled = new Set(FILL_ORDER.slice(0, step + 1));
+  const completedBy = (groups) => groups
+    .map((cells, index) => ({ cells, index }))
+    .filter(({ cells }) => cells.includes(cell) && cells.every(c => filled.has(c)))
+    .map(({ index }) => index);
+
+  return {
+    rows: completedBy(ROWS),
+    cols: completedBy(COLS),
+    quadrants: completedBy(QUADRANTS)
+  };
+});
+
+// Find grids (arrays of 9 letters) that use exactly `letters`, where every 2x2
+// corner is an anagram of one of `words` (each word used once). When `targets`
+// is given, rows and columns must also add up to the target sums. Pass a
+// `stats` object to have the search count what it explored: `nodes` (letters
+// placed), `deadEnds` (placements rejected) and `branching` (for each step,
+// how many placements survived).
+const findArrangements = ({ letters, words, targets = null, limit = Infinity, stats = null }) => {
+  const remaining = countItems(letters);
+  const unusedWords = countItems(words.map(letterKey));
+  const grid = new Array(SOLUTION_LENGTH).fill(null);
+  const found = [];
+
+  const lineSum = (cells) => sum(cells.map(c => letterValue(grid[c])));
+
+  if (stats) {
+    stats.nodes = 0;
+    stats.deadEnds = 0;
+    stats.branching = new Array(FILL_ORDER.length).fill(0);
+  }
+
+  const place = (step) => {
+    if (found.length >= limit) return;
+
+    if (step === FILL_ORDER.length) {
+      found.push(grid.slice());
+      return;
+    }
+
+    const cell = FILL_ORDER[step];
+    const checks = STEP_CHECKS[step];
+
+    for (const letter of Object.keys(remaining)) {
+      if (remaining[letter] === 0) continue;
+
+      remaining[letter]--;
+      grid[cell] = letter;
+      if (stats) stats.nodes++;
+
+      const sumsMatch = !targets || (
+        checks.rows.every(r => lineSum(ROWS[r]) === targets.rows[r]) &&
+        checks.cols.every(c => lineSum(COLS[c]) === targets.cols[c])
+      );
+
+      if (sumsMatch) {
+        // Claim a word for every corner this cell completes, then release them
+        const claimed = [];
+        for (const q of checks.quadrants) {
+          const key = letterKey(QUADRANTS[q].map(c => grid[c]));
+          if (!unusedWords[key]) break;
+          unusedWords[key]--;
+          claimed.push(key);
+        }
+
+        if (claimed.length === checks.quadrants.length) {
+          if (stats) stats.branching[step]++;
+          place(step + 1);
+        } else if (stats) {
+          stats.deadEnds++;
+        }
+
+        claimed.forEach(key => unusedWords[key]++);
+      } else if (stats) {
+        stats.deadEnds++;
+      }
+
+      grid[cell] = null;
+      remaining[letter]++;
+    }
+  };
+
+  place(0);
+  return found;
+};
+
+const isTargetList = (list) => Array.isArray(list) &&
+  list.length === GRID_SIZE &&
+  list.every(n => Number.isInteger(n) && n > 0);
+
+// Validate puzzle_data. Returns { valid, errors } where each error is
+// { field, message } and field is a path into the puzzle such as 'words[2].values'.
+const validatePuzzle = (puzzle) => {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (!puzzle || typeof puzzle !== 'object' || Array.isArray(puzzle)) {
+    addError('puzzle', 'Puzzle must be an object');
+    return { valid: false, errors };
+  }
+
+  const { words, targets, solution } = puzzle;
+  const wordPattern = new RegExp(`^[A-Z]{${WORD_LENGTH}}$`);
+  const solutionPattern = new RegExp(`^[A-Z]{${SOLUTION_LENGTH}}$`);
+
+  // Words: each entry's letters and values must agree with the word itself
+  if (!Array.isArray(words) || words.length !== WORD_COUNT) {
+    addError('words', `Puzzle must have exactly ${WORD_COUNT} words`);
+  } else {
+    words.forEach((entry, i) => {
+      const field = `words[${i}]`;
+
+      if (!entry || typeof entry.word !== 'string' || !wordPattern.test(entry.word)) {
+        addError(`${field}.word`, `Word must be ${WORD_LENGTH} uppercase letters A-Z`);
+        return;
+      }
+
+      const expectedLetters = entry.word.split('');
+      if (!sameArray(entry.letters, expectedLetters)) {
+        addError(`${field}.letters`, `Letters must be ${JSON.stringify(expectedLetters)} for ${entry.word}`);
+      }
+
+      const expectedValues = expectedLetters.map(letterValue);
+      if (!sameArray(entry.values, expectedValues)) {
+        addError(`${field}.values`, `Values must be ${JSON.stringify(expectedValues)} for ${entry.word}`);
+      }
+    });
+  }
+
+  // Targets: three positive integer sums for each of rows and cols
+  if (!targets || typeof targets !== 'object') {
+    addError('targets', 'Targets must have rows and cols');
+  } else {
+    if (!isTargetList(targets.rows)) {
+      addError('targets.rows', `Row targets must be ${GRID_SIZE} positive integers`);
+    }
+    if (!isTargetList(targets.cols)) {
+      addError('targets.cols', `Column targets must be ${GRID_SIZE} positive integers`);
+    }
+  }
+
+  if (typeof solution !== 'string' || !solutionPattern.test(solution)) {
+    addError('solution', `Solution must be ${SOLUTION_LENGTH} uppercase letters A-Z`);
+  }
+
+  // The grid checks below only make sense once every field is well formed
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const letters = solution.split('');
+  const total = sum(letters.map(letterValue));
+
+  if (sum(targets.rows) !== total) {
+    addError('targets.rows', `Row targets add up to ${sum(targets.rows)} but the solution letters add up to ${total}`);
+  }
+  if (sum(targets.cols) !== total) {
+    addError('targets.cols', `Column targets add up to ${sum(targets.cols)} but the solution letters add up to ${total}`);
+  }
+
+  const available = countItems(letters);
+  words.forEach((entry, i) => {
+    const needed = countItems(entry.letters);
+    const missing = Object.keys(needed).filter(letter => (available[letter] || 0) < needed[letter]);
+    if (missing.length > 0) {
+      addError(`words[${i}].word`, `${entry.word} uses letters not in the solution: ${missing.join(', ')}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const wordList = words.map(entry => entry.word);
+  if (findArrangements({ letters, words: wordList, limit: 1 }).length === 0) {
+    addError('solution', 'The solution letters cannot be arranged so that each 2x2 corner spells one of the words');
+  } else if (findArrangements({ letters, words: wordList, targets, limit: 1 }).length === 0) {
+    addError('targets', 'No grid that fits the words matches the row and column targets');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+// Validate a full row as stored in daily_puzzles: date, level and puzzle data
+const validatePuzzleEntry = ({ date, level, puzzle }) => {
+  const errors = [];
+
+  if (!isValidDate(date)) {
+    errors.push({ field: 'date', message: 'Date must be a valid YYYY-MM-DD date' });
+  }
+  if (!isValidLevel(level)) {
+    errors.push({ field: 'level', message: 'Level must be CL (Classic) or CH (Challenge)' });
+  }
+
+  errors.push(...validatePuzzle(puzzle).errors);
+  return { valid: errors.length === 0, errors };
+};
+
+module.exports = {
+  LEVELS,
+  GRID_SIZE,
+  WORD_LENGTH,
+  SOLUTION_LENGTH,
+  ROWS,
+  COLS,
+  QUADRANTS,
+  letterValue,
+  letterKey,
+  isValidDate,
+  isValidLevel,
+  findArrangements,
+  validatePuzzle,
+  validatePuzzleEntry
+};
@@ -0,0 +1,45 @@
+// release-clock.js
+// Which puzzle date is "today" for players. A new puzzle goes live at
+// RELEASE_HOUR (0-23) local time in RELEASE_TIMEZONE (an IANA zone such as
+// 'Europe/London'), not at midnight UTC.
+
+const RELEASE_TIMEZONE = process.env.RELEASE_TIMEZONE || 'UTC';
+const RELEASE_HOUR = parseInt(process.env.RELEASE_HOUR || '0', 10);
+
+if (!Number.isInteger(RELEASE_HOUR) || RELEASE_HOUR < 0 || RELEASE_HOUR > 23) {
+  throw new Error(`RELEASE_HOUR must be a whole hour from 0 to 23, got ${process.env.RELEASE_HOUR}`);
+}
+
+// Throws a RangeError straight away if RELEASE_TIMEZONE is not a real zone
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: RELEASE_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  hourCycle: 'h23'
+});
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+};
+
+// The date (YYYY-MM-DD) of the latest released puzzle at `now`
+const releaseDate = (now = new Date()) => {
+  const parts = Object.fromEntries(formatter.formatToParts(now).map(({ type, value }) => [type, value]));
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return Number(parts.hour) < RELEASE_HOUR ? addDays(localDate, -1) : localDate;
+};
+
+const isReleased = (date, now = new Date()) => date <= releaseDate(now);
+
+module.exports = {
+  RELEASE_TIMEZONE,
+  RELEASE_HOUR,
+  addDays,
+  releaseDate,
+  isReleased
+};
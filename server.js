@@ -27,17 +27,46 @@ console.log('=============================');
 }
 */
 const express = require('express');
-const Database = require('better-sqlite3');
 const cors = require('cors');
-const path = require('path');
-const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
 
 
-const authenticateApiKey = require('./auth');
+const { createApiKeyAuth, hasScope, requireScope, createPlayerAuth, requirePlayer } = require('./auth');
+const { openDatabase } = require('./gramgrid-db');
+const { isValidDate, isValidLevel, validatePuzzle } = require('./puzzle-validator');
+const { MAX_HINTS, toPlayerView, getHints, normalizeGrid, checkGuess, isSolution } = require('./player-view');
+const { solvePuzzle } = require('./puzzle-solver');
+const { toETag, versionsFromIfMatch, createPuzzleStore } = require('./puzzle-store');
+const { diffPuzzles } = require('./puzzle-diff');
+const { addDays, releaseDate, isReleased } = require('./release-clock');
+const { MAX_PAGE_SIZE, decodeCursor, parsePuzzleFilters, parseWindow, parsePageSize, queryPuzzles } = require('./puzzle-query');
+const { LOGIN_LINK_TTL_MINUTES, createPlayerStore } = require('./players');
+const { sendMail } = require('./outbox');
+const { createSolveStore } = require('./solves');
+const { HINT_PENALTY_SECONDS, MAX_BOARD_SIZE, PERIODS, createLeaderboards } = require('./leaderboards');
+const { shareText, renderSvg, renderPng, renderSharePage } = require('./share-card');
+const { EXPORT_FORMATS, exportPuzzles } = require('./puzzle-export');
+const { DEFAULT_CALENDAR_DAYS, MAX_CALENDAR_DAYS, MAX_WINDOW_DAYS, DUPLICATE_WINDOW_DAYS, daysBetween, createCalendar } = require('./puzzle-calendar');
+const { FALLBACK_POLICY, createEvergreenPool } = require('./evergreen');
+const { REUSE_POLICY, REUSE_WINDOW_DAYS, DEFAULT_REPORT_SIZE, MAX_REPORT_SIZE, createReuseIndex } = require('./word-reuse');
+const { MAX_WORD_LENGTH, STATUSES, createDictionary } = require('./dictionary');
+const { RETENTION_INTERVAL_MS, playerIdentity, visitorIdentity, createAnalyticsPrivacy } = require('./analytics-privacy');
+const { MAX_BATCH_EVENTS, toTimestamp, eventTime, validateEvent } = require('./analytics-events');
+const { createAnalyticsBuffer } = require('./analytics-buffer');
+const { DEFAULT_REPORT_DAYS, MAX_REPORT_DAYS, createEngagementReports } = require('./puzzle-engagement');
+const { ANALYTICS_ROLLUP_INTERVAL_SECONDS, DEFAULT_STATS_DAYS, createAnalyticsRollups } = require('./analytics-rollups');
+const { ANALYTICS_EXPORT_FORMATS, EXPORT_SOURCES, exportAnalytics } = require('./analytics-export');
+const { renderDashboard } = require('./analytics-dashboard');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Page of the game that finishes an email sign-in; the link adds ?token=...
+const PLAYER_LOGIN_URL = process.env.PLAYER_LOGIN_URL || 'http://localhost:3000/login';
+
+// Where this API is reachable from outside, for public share links
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+
 // Debug environment variables
 console.log('=== ENVIRONMENT DEBUG ===');
 console.log('NODE_ENV:', process.env.NODE_ENV);
@@ -67,30 +96,8 @@ console.log('===================');
 
 
 
-// Initialize database connection
-const db = new Database(path.join(__dirname, 'gramgrid_puzzles.db'));
-
-// Create analytics table on startup
-const createAnalyticsTable = () => {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS analytics (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      event_type TEXT NOT NULL,
-      user_id TEXT,
-      puzzle_date DATE,
-      user_agent TEXT,
-      ip_address TEXT,
-      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-      metadata TEXT
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(DATE(timestamp));
-    CREATE INDEX IF NOT EXISTS idx_analytics_event ON analytics(event_type);
-    CREATE INDEX IF NOT EXISTS idx_analytics_user ON analytics(user_id);
-  `);
-};
-
-createAnalyticsTable();
+// Initialize database connection (runs any pending migrations)
+const db = openDatabase();
 
 // Middleware
 app.use(cors());
@@ -98,25 +105,51 @@ app.use(express.json());
 
 // Prepare SQL statements for better performance
 const getPuzzleByDate = db.prepare('SELECT puzzle_data FROM daily_puzzles WHERE puzzle_date = ? AND puzzle_level = ?');
-const getAllPuzzles = db.prepare('SELECT puzzle_date, puzzle_data FROM daily_puzzles ORDER BY puzzle_date DESC');
-const insertPuzzle = db.prepare('INSERT OR REPLACE INTO daily_puzzles (puzzle_date, puzzle_level, puzzle_data) VALUES (?, ?, ?)');
-const deletePuzzle = db.prepare('DELETE FROM daily_puzzles WHERE puzzle_date = ?');
-
-// Get week of puzzles (today + 6 previous days) for a specific level
-const getWeekPuzzles = db.prepare(`
-  SELECT puzzle_date, puzzle_level, puzzle_data 
-  FROM daily_puzzles 
-  WHERE puzzle_date >= date(?, '-6 days') AND puzzle_date <= ?
-    AND puzzle_level = ?
-  ORDER BY puzzle_date DESC
-`);
-
-
-// Analytics prepared statements
-const insertAnalytics = db.prepare(`
-  INSERT INTO analytics (event_type, user_id, puzzle_date, user_agent, ip_address, metadata) 
-  VALUES (?, ?, ?, ?, ?, ?)
-`);
+
+// Creates, updates and deletes go through the store, which versions each row
+const puzzleStore = createPuzzleStore(db);
+
+// Scheduling: the calendar of what is loaded and the pool that fills gaps
+const calendar = createCalendar(db);
+const reuseIndex = createReuseIndex(db);
+const evergreenPool = createEvergreenPool(db, puzzleStore, reuseIndex);
+
+// Which words puzzles may use (word lists in words/ plus changes made here)
+const dictionary = createDictionary(db);
+
+// The puzzle rules plus the dictionary's verdict on each word
+const validatePuzzleWords = (puzzle) => {
+  const errors = [...validatePuzzle(puzzle).errors, ...dictionary.checkPuzzle(puzzle)];
+  return { valid: errors.length === 0, errors };
+};
+
+// The puzzle players get for a date and level. Today's puzzle, if nobody
+// scheduled one, comes from the evergreen pool the first time it is asked
+// for; earlier gaps are left alone so past streaks don't change.
+const findPuzzle = (date, level) => {
+  const row = getPuzzleByDate.get(date, level);
+  if (row || date !== releaseDate()) return row;
+  return evergreenPool.fillGap(date, level) ? getPuzzleByDate.get(date, level) : undefined;
+};
+
+// Player identities and saved progress
+const playerStore = createPlayerStore(db);
+const solveStore = createSolveStore(db);
+const leaderboards = createLeaderboards(db);
+
+// A known player opening a puzzle starts its clock (see solves.js)
+const startPuzzle = (req, date, level) => {
+  if (req.player) solveStore.startPuzzle(req.player.id, date, level);
+};
+
+// Analytics never store raw IP addresses or lasting IDs (see analytics-privacy.js)
+const analyticsPrivacy = createAnalyticsPrivacy(db);
+const engagementReports = createEngagementReports(db);
+const analyticsRollups = createAnalyticsRollups(db);
+
+// Events are buffered and written in batches (see analytics-buffer.js)
+const analyticsBuffer = createAnalyticsBuffer(db);
+analyticsBuffer.start();
 
 // Helper functions for analytics
 const getClientIP = (req) => {
@@ -126,27 +159,65 @@ const getClientIP = (req) => {
          '0.0.0.0';
 };
 
-const generateUserID = (req) => {
-  const ip = getClientIP(req);
-  const userAgent = req.headers['user-agent'] || '';
-  return crypto.createHash('md5').update(ip + userAgent).digest('hex').substring(0, 8);
-};
+// Who sent a request, before it is pseudonymised: players with a token are
+// themselves on every device, anyone else is their IP and browser
+const analyticsIdentity = (req) => (
+  req.player ? playerIdentity(req.player.publicId) : visitorIdentity(getClientIP(req), req.headers['user-agent'])
+);
 
-const trackEvent = (eventType, req, puzzleDate = null, metadata = {}) => {
+// `puzzle` is the { date, level } the event is about, if any. Client events
+// also pass when they happened (`at`) and their eventId. Returns false for a
+// repeated eventId from the same sender.
+const trackEvent = (eventType, req, puzzle = {}, metadata = {}, { at = new Date(), eventId = null } = {}) => {
   try {
-    insertAnalytics.run(
+    const { userId, ipAddress, userAgent } = analyticsPrivacy.eventFields({
+      identity: analyticsIdentity(req),
+      ip: getClientIP(req),
+      userAgent: req.headers['user-agent']
+    }, at);
+
+    return analyticsBuffer.push({
       eventType,
-      generateUserID(req),
-      puzzleDate,
-      req.headers['user-agent'] || 'unknown',
-      getClientIP(req),
-      JSON.stringify(metadata)
-    );
+      userId,
+      puzzleDate: puzzle.date || null,
+      puzzleLevel: puzzle.level || null,
+      userAgent,
+      ipAddress,
+      metadata: JSON.stringify(metadata),
+      timestamp: toTimestamp(at),
+      receivedAt: toTimestamp(new Date()),
+      clientEventId: eventId
+    });
   } catch (error) {
     console.error('Analytics tracking error:', error);
+    return false;
   }
 };
 
+// Validate and track one event from the game client
+const trackClientEvent = (req, event, now) => {
+  const validation = validateEvent(event, now);
+  if (!validation.valid) return { status: 'invalid', errors: validation.errors };
+
+  const { eventType, puzzleDate, level, metadata, timestamp, eventId } = event;
+  const tracked = trackEvent(eventType, req, { date: puzzleDate, level: level && level.toUpperCase() }, metadata || {}, {
+    at: eventTime(timestamp, now),
+    eventId: eventId || null
+  });
+
+  return { status: tracked ? 'accepted' : 'duplicate' };
+};
+
+// Puzzles dated after the current release date are only served to keys that
+// can edit puzzles
+const canSeeUnreleased = (req) => hasScope(req, 'puzzles:write');
+
+const isEmbargoed = (req, date) => !canSeeUnreleased(req) && !isReleased(date);
+
+const embargoResponse = (res) => res.status(403).json({
+  error: 'Puzzle not released yet',
+  message: 'Puzzles become available on their release date'
+});
 
 // Add a debug endpoint
 app.get('/debug-env', (req, res) => {
@@ -161,10 +232,13 @@ app.get('/debug-env', (req, res) => {
 });
 
 
+// Identify the player (if any) before anything is tracked
+app.use(createPlayerAuth(playerStore));
+
 // Analytics middleware - track API calls
 app.use((req, res, next) => {
   if (req.path.startsWith('/api/puzzle') && req.method === 'GET') {
-    trackEvent('api_request', req, null, {
+    trackEvent('api_request', req, {}, {
       method: req.method,
       path: req.path,
       query: req.query
@@ -185,6 +259,49 @@ app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
+// Shared results. Public so links work for anyone; they never include letters.
+const shareUrls = (shareId) => ({
+  url: `${PUBLIC_BASE_URL}/share/${shareId}`,
+  imageUrl: `${PUBLIC_BASE_URL}/share/${shareId}.png`
+});
+
+const toShare = (solve) => ({
+  date: solve.date,
+  level: solve.level,
+  elapsedSeconds: solve.elapsedSeconds,
+  hintsUsed: solve.hintsUsed,
+  attempts: solve.attemptResults,
+  displayName: solve.displayName
+});
+
+const sharedSolveRoute = (render) => (req, res) => {
+  try {
+    const solve = solveStore.getShared(req.params.shareId);
+    
+    if (!solve) {
+      return res.status(404).json({ error: 'Shared result not found' });
+    }
+    
+    render(res, toShare(solve), req.params.shareId);
+    
+  } catch (error) {
+    console.error('Error rendering shared result:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.get('/share/:shareId.png', sharedSolveRoute((res, share) => {
+  res.type('png').set('Cache-Control', 'public, max-age=86400').send(renderPng(share));
+}));
+
+app.get('/share/:shareId.svg', sharedSolveRoute((res, share) => {
+  res.type('svg').set('Cache-Control', 'public, max-age=86400').send(renderSvg(share));
+}));
+
+app.get('/share/:shareId', sharedSolveRoute((res, share, shareId) => {
+  res.type('html').send(renderSharePage(share, shareUrls(shareId)));
+}));
+
 
 
 // Health check
@@ -195,11 +312,44 @@ app.get('/health', (req, res) => {
 
 
 // Protected routes (authentication required)
-app.use('/api', authenticateApiKey); // Apply auth to all /api routes
+app.use('/api', createApiKeyAuth(db)); // Apply auth to all /api routes; scopes are checked per route
+
 
+// Get today's puzzle. Registered before /api/puzzle/:date so "today" isn't
+// taken for a date; "today" follows the release time zone and hour.
+app.get('/api/puzzle/today', requireScope('puzzles:read'), (req, res) => {
+  try {
+    const today = releaseDate();
+    const level = req.query.level || 'CL'; // Default to Classic
+    
+    // Validate level
+    if (!['CL', 'CH'].includes(level.toUpperCase())) {
+      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    }
+    
+    const result = findPuzzle(today, level.toUpperCase());
+    
+    if (!result) {
+      return res.status(404).json({ error: `No ${level.toUpperCase()} puzzle available for today` });
+    }
+    
+    startPuzzle(req, today, level.toUpperCase());
+    
+    const puzzleData = JSON.parse(result.puzzle_data);
+    res.json({
+      date: today,
+      level: level.toUpperCase(),
+      puzzle: toPlayerView(puzzleData)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching today\'s puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // Get puzzle by date
-app.get('/api/puzzle/:date', (req, res) => {
+app.get('/api/puzzle/:date', requireScope('puzzles:read'), (req, res) => {
   try {
     const { date } = req.params;
     const level = req.query.level || 'CL'; // Default to Classic
@@ -214,17 +364,23 @@ app.get('/api/puzzle/:date', (req, res) => {
       return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
     }
     
-    const result = getPuzzleByDate.get(date, level.toUpperCase());
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const result = findPuzzle(date, level.toUpperCase());
     
     if (!result) {
       return res.status(404).json({ error: 'Puzzle not found for this date and level' });
     }
     
+    startPuzzle(req, date, level.toUpperCase());
+    
     const puzzleData = JSON.parse(result.puzzle_data);
     res.json({
       date,
       level: level.toUpperCase(),
-      puzzle: puzzleData
+      puzzle: toPlayerView(puzzleData)
     });
     
   } catch (error) {
@@ -233,67 +389,203 @@ app.get('/api/puzzle/:date', (req, res) => {
   }
 });
 
-// Get today's puzzle
-app.get('/api/puzzle/today', (req, res) => {
+// Check a guess (solution word, full or partial grid, corner words) without
+// ever sending the answer to the client
+app.post('/api/puzzle/:date/check', requireScope('puzzles:read'), (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const level = req.query.level || 'CL'; // Default to Classic
+    const { date } = req.params;
+    const { level = 'CL', solution, grid, words } = req.body || {};
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    
+    if (typeof level !== 'string' || !['CL', 'CH'].includes(level.toUpperCase())) {
+      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    }
+    
+    if (solution === undefined && grid === undefined && words === undefined) {
+      return res.status(400).json({ error: 'Provide a solution, grid or words to check' });
+    }
+    
+    if (grid !== undefined && !normalizeGrid(grid)) {
+      return res.status(400).json({ error: 'Grid must have 9 cells, each a letter or empty (null, "" or ".")' });
+    }
+    
+    if (words !== undefined && !Array.isArray(words)) {
+      return res.status(400).json({ error: 'Words must be an array' });
+    }
+    
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const result = findPuzzle(date, level.toUpperCase());
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
+    }
+    
+    const check = checkGuess(JSON.parse(result.puzzle_data), { solution, grid, words });
+    
+    startPuzzle(req, date, level.toUpperCase());
+    
+    // A full grid checked by a known player counts as one of their attempts
+    if (req.player && check.complete) {
+      solveStore.recordAttempt(req.player.id, date, level.toUpperCase(), { rows: check.rows, cols: check.cols });
+    }
+    
+    trackEvent('puzzle_checked', req, { date, level: level.toUpperCase() }, {
+      correct: check.solution?.correct ?? check.correct ?? null
+    });
+    
+    res.json({
+      date,
+      level: level.toUpperCase(),
+      ...check
+    });
+    
+  } catch (error) {
+    console.error('Error checking puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Progressive hints: ?count=N returns the first N hints in reveal order. For
+// puzzles with more than one answer they lead towards the one closest to the
+// player's grid: ?grid= (as a 9-character string), else their saved progress.
+app.get('/api/puzzle/:date/hints', requireScope('puzzles:read'), (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.query.level || 'CL';
+    const count = parseInt(req.query.count, 10) || 1;
+    const grid = req.query.grid === undefined ? null : normalizeGrid(req.query.grid);
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
     
-    // Validate level
     if (!['CL', 'CH'].includes(level.toUpperCase())) {
       return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
     }
     
-    const result = getPuzzleByDate.get(today, level.toUpperCase());
+    if (count < 1 || count > MAX_HINTS) {
+      return res.status(400).json({ error: `Hint count must be between 1 and ${MAX_HINTS}` });
+    }
+    
+    if (req.query.grid !== undefined && !grid) {
+      return res.status(400).json({ error: 'Grid must have 9 cells, each a letter or empty (".")' });
+    }
+    
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const result = findPuzzle(date, level.toUpperCase());
     
     if (!result) {
-      return res.status(404).json({ error: `No ${level.toUpperCase()} puzzle available for today` });
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
     }
     
-    const puzzleData = JSON.parse(result.puzzle_data);
+    const progress = !grid && req.player ? playerStore.getProgress(req.player.id, date, level.toUpperCase()) : null;
+    const hints = getHints(JSON.parse(result.puzzle_data), count, grid || (progress && progress.grid));
+    
+    // What a known player's solve is charged for
+    if (req.player) {
+      solveStore.recordHints(req.player.id, date, level.toUpperCase(), hints.length);
+    }
+    
+    trackEvent('hint_requested', req, { date, level: level.toUpperCase() }, { count });
+    
     res.json({
-      date: today,
+      date,
       level: level.toUpperCase(),
-      puzzle: puzzleData
+      hints,
+      remaining: MAX_HINTS - hints.length
     });
     
   } catch (error) {
-    console.error('Error fetching today\'s puzzle:', error);
+    console.error('Error fetching hints:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get week of puzzles (today + 6 previous days)
-app.get('/api/puzzles/week', (req, res) => {
+// Every grid that satisfies the stored targets, plus a difficulty score that
+// counts the search and the words' rarity (admin)
+app.get('/api/puzzle/:date/solutions', requireScope('puzzles:write'), (req, res) => {
   try {
-    const level = req.query.level || 'CL'; // Default to Classic
-    const today = new Date().toISOString().split('T')[0];
+    const { date } = req.params;
+    const level = req.query.level || 'CL';
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
     
-    // Validate level
     if (!['CL', 'CH'].includes(level.toUpperCase())) {
       return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
     }
     
-    const results = getWeekPuzzles.all(today, today, level.toUpperCase());
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const result = findPuzzle(date, level.toUpperCase());
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
+    }
+    
+    res.json({
+      date,
+      level: level.toUpperCase(),
+      ...solvePuzzle(JSON.parse(result.puzzle_data), { wordRarity: dictionary.wordRarity })
+    });
+    
+  } catch (error) {
+    console.error('Error solving puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a window of puzzles for one level: `span` days (default 7) ending on
+// `anchor` (default today). Player view, so answer searches are archive-only.
+app.get('/api/puzzles/week', requireScope('puzzles:read'), (req, res) => {
+  try {
+    const today = releaseDate();
+    
+    const { filters, error } = parsePuzzleFilters(
+      { level: 'CL', ...req.query }, // Default to Classic
+      { allowed: ['level', 'fields'] }
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const range = parseWindow(req.query, today);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    // Unreleased days in the window are left out for non-admin keys
+    const visibleTo = !canSeeUnreleased(req) && range.to > today ? today : range.to;
+    
+    const { rows } = queryPuzzles(db, { ...filters, ...range, to: visibleTo }, { limit: MAX_PAGE_SIZE });
     
-    if (results.length === 0) {
-      return res.status(404).json({ error: `No ${level.toUpperCase()} puzzles found for this week` });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: `No ${filters.level} puzzles found for this week` });
     }
     
-    const puzzles = results.map(row => ({
+    const puzzles = rows.map(row => ({
       date: row.puzzle_date,
       level: row.puzzle_level,
-      puzzle: JSON.parse(row.puzzle_data)
+      ...(filters.metaOnly ? {} : { puzzle: toPlayerView(JSON.parse(row.puzzle_data)) })
     }));
     
     res.json({
-      level: level.toUpperCase(),
+      level: filters.level,
       puzzles: puzzles,
       count: puzzles.length,
-      dateRange: {
-        from: puzzles[puzzles.length - 1]?.date,
-        to: puzzles[0]?.date
-      }
+      dateRange: range
     });
     
   } catch (error) {
@@ -302,16 +594,42 @@ app.get('/api/puzzles/week', (req, res) => {
   }
 });
 
-// Get all puzzles (for admin/management)
-app.get('/api/puzzles', (req, res) => {
+// Puzzle archive (for admin/management), newest first. Filters: from, to,
+// level, solution, word (any of the four words); fields=meta leaves out the
+// puzzle data. Pass nextCursor back as ?cursor= for the following page.
+// Admin-only: the puzzle data and the answer filters give solutions away.
+app.get('/api/puzzles', requireScope('puzzles:write'), (req, res) => {
   try {
-    const results = getAllPuzzles.all();
-    const puzzles = results.map(row => ({
+    const { filters, error } = parsePuzzleFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const limit = parsePageSize(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+    
+    const { rows, nextCursor } = queryPuzzles(db, filters, { cursor, limit });
+    
+    const puzzles = rows.map(row => ({
       date: row.puzzle_date,
-      puzzle: JSON.parse(row.puzzle_data)
+      level: row.puzzle_level,
+      version: row.updated_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      ...(filters.metaOnly ? {} : { puzzle: JSON.parse(row.puzzle_data) })
     }));
     
-    res.json({ puzzles });
+    res.json({ puzzles, count: puzzles.length, nextCursor, hasMore: nextCursor !== null });
     
   } catch (error) {
     console.error('Error fetching puzzles:', error);
@@ -319,164 +637,1265 @@ app.get('/api/puzzles', (req, res) => {
   }
 });
 
-// Add new puzzle (POST)
-app.post('/api/puzzle', (req, res) => {
+// Download puzzles as json (default), ndjson or csv, in a file the bulk
+// importer can read back. Filters: from, to, level.
+app.get('/api/puzzles/export', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    const { filters, error } = parsePuzzleFilters(req.query, { allowed: ['from', 'to', 'level'] });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const name = ['gramgrid-puzzles', filters.level, filters.from, filters.to].filter(Boolean).join('-');
+    
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${name}.${EXPORT_FORMATS[format].extension}"`
+    });
+    
+    // Headers are gone by the time a streaming error happens, so just cut the response short
+    pipeline(Readable.from(exportPuzzles(db, filters, format)), res, (error) => {
+      if (error) console.error('Error exporting puzzles:', error);
+    });
+    
+  } catch (error) {
+    console.error('Error exporting puzzles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Validation shared by the date/level editing routes. Returns an error message or null.
+const invalidDateOrLevel = (date, level) => {
+  if (!isValidDate(date)) {
+    return 'Invalid date format. Use YYYY-MM-DD';
+  }
+  if (!isValidLevel(level)) {
+    return 'Invalid level. Use CL (Classic) or CH (Challenge)';
+  }
+  return null;
+};
+
+// Who is making a change, for the revision history: the name of the API key,
+// plus the editor's own name when they send an X-Editor header
+const changedBy = (req) => {
+  const editor = req.get('X-Editor');
+  return editor ? `${editor} (${req.apiKey.name})` : req.apiKey.name;
+};
+
+const conflictResponse = (res, current) => res.status(409).json({
+  error: 'Puzzle was changed by someone else',
+  message: 'Reload the puzzle and apply your changes to the current version',
+  currentVersion: current.version
+});
+
+// Add new puzzle (POST). Refuses to overwrite an existing puzzle unless
+// `replace: true` is sent in the body. Words used by puzzles within the reuse
+// window (see word-reuse.js) come back as `reuse`; with REUSE_POLICY=reject
+// the puzzle is refused unless `allowReuse: true` is sent.
+app.post('/api/puzzle', requireScope('puzzles:write'), (req, res) => {
   try {
-    const { date, level, puzzle } = req.body;
+    const { date, level, puzzle, replace = false, allowReuse = false } = req.body || {};
     
     if (!date || !level || !puzzle) {
       return res.status(400).json({ error: 'Date, level, and puzzle data are required' });
     }
     
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
     
-    // Validate level
-    if (!['CL', 'CH'].includes(level.toUpperCase())) {
-      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    // Validate words, letter values, targets and solution against each other,
+    // and the words against the dictionary
+    const validation = validatePuzzleWords(puzzle);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid puzzle', details: validation.errors });
     }
     
-    // Validate puzzle has required fields
-    if (!puzzle.words || !puzzle.targets || !puzzle.solution) {
-      return res.status(400).json({ error: 'Puzzle must have words, targets, and solution' });
+    const reuse = reuseIndex.check(date, level.toUpperCase(), puzzle);
+    if (reuse.length > 0 && REUSE_POLICY === 'reject' && allowReuse !== true) {
+      return res.status(409).json({
+        error: 'Puzzle reuses words from nearby puzzles',
+        message: `Words may not repeat within ${REUSE_WINDOW_DAYS} days. Send allowReuse: true to save it anyway`,
+        reuse
+      });
     }
     
-    insertPuzzle.run(date, level.toUpperCase(), JSON.stringify(puzzle));
-    
-    res.status(201).json({ 
-      message: 'Puzzle created successfully',
-      date,
-      level: level.toUpperCase(),
-      puzzle 
+    const result = puzzleStore.create(date, level.toUpperCase(), puzzle, {
+      replace: replace === true,
+      changedBy: changedBy(req)
     });
     
+    if (result.status === 'exists') {
+      return res.status(409).json({
+        error: 'Puzzle already exists for this date and level',
+        message: 'Send replace: true to overwrite it, or use PUT /api/puzzle/:date/:level',
+        currentVersion: result.current.version
+      });
+    }
+    
+    res.status(result.status === 'created' ? 201 : 200)
+      .set('ETag', toETag(result.record.version))
+      .json({ 
+        message: result.status === 'created' ? 'Puzzle created successfully' : 'Puzzle replaced successfully',
+        date,
+        level: level.toUpperCase(),
+        version: result.record.version,
+        puzzle,
+        ...(reuse.length > 0 ? { reuse } : {})
+      });
+    
   } catch (error) {
     console.error('Error creating puzzle:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete puzzle
-app.delete('/api/puzzle/:date', (req, res) => {
+// Get the full puzzle for editing, with its version as an ETag (admin)
+app.get('/api/puzzle/:date/:level', requireScope('puzzles:write'), (req, res) => {
   try {
     const { date } = req.params;
+    const level = req.params.level.toUpperCase();
     
-    const result = deletePuzzle.run(date);
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
     
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Puzzle not found' });
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const record = puzzleStore.get(date, level);
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
     }
     
-    res.json({ message: 'Puzzle deleted successfully' });
+    res.set('ETag', toETag(record.version)).json(record);
     
   } catch (error) {
-    console.error('Error deleting puzzle:', error);
+    console.error('Error fetching puzzle:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// NEW ANALYTICS ROUTES
-
-// Track custom events from client
-app.post('/api/analytics/event', (req, res) => {
+// Replace (PUT) or partially update (PATCH) a puzzle. Send the ETag from the
+// GET above as If-Match to get a 409 instead of overwriting someone else's edit.
+const updatePuzzleRoute = (merge) => (req, res) => {
   try {
-    const { eventType, puzzleDate, metadata } = req.body;
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    const { puzzle } = req.body || {};
     
-    if (!eventType) {
-      return res.status(400).json({ error: 'eventType is required' });
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
     
-    trackEvent(eventType, req, puzzleDate || null, metadata || {});
-    res.json({ success: true });
+    if (!puzzle || typeof puzzle !== 'object' || Array.isArray(puzzle)) {
+      return res.status(400).json({ error: 'Puzzle data is required' });
+    }
     
-  } catch (error) {
-    console.error('Analytics event error:', error);
-    res.status(500).json({ error: 'Failed to track event' });
-  }
-});
-
-// Get analytics dashboard data
-app.get('/api/analytics/stats', (req, res) => {
-  try {
-    const stats = {
-      // Daily unique visitors for last 30 days
-      dailyVisitors: db.prepare(`
-        SELECT DATE(timestamp) as date, COUNT(DISTINCT user_id) as visitors
-        FROM analytics 
-        WHERE timestamp >= datetime('now', '-30 days')
-        GROUP BY DATE(timestamp)
-        ORDER BY date DESC
-      `).all(),
-      
-      // Total stats
-      totals: db.prepare(`
-        SELECT 
-          COUNT(DISTINCT user_id) as totalVisitors,
-          COUNT(*) as totalEvents,
-          COUNT(DISTINCT DATE(timestamp)) as activeDays
-        FROM analytics
-      `).get(),
-      
-      // Most popular puzzles
-      popularPuzzles: db.prepare(`
-        SELECT 
-          puzzle_date, 
-          COUNT(*) as accesses,
-          COUNT(DISTINCT user_id) as uniqueUsers
-        FROM analytics 
-        WHERE event_type = 'puzzle_accessed' 
-        AND puzzle_date IS NOT NULL
-        GROUP BY puzzle_date
-        ORDER BY accesses DESC
-        LIMIT 10
-      `).all(),
-      
-      // Event breakdown
-      eventTypes: db.prepare(`
-        SELECT 
-          event_type, 
-          COUNT(*) as count,
-          COUNT(DISTINCT user_id) as uniqueUsers
-        FROM analytics
-        GROUP BY event_type
-        ORDER BY count DESC
-      `).all(),
-      
-      // Recent activity (last 50 events)
-      recentActivity: db.prepare(`
-        SELECT 
-          event_type, 
-          puzzle_date, 
-          datetime(timestamp, 'localtime') as timestamp,
-          CASE 
-            WHEN metadata != '{}' THEN json_extract(metadata, '$.error') 
-            ELSE NULL 
-          END as error
-        FROM analytics
-        ORDER BY timestamp DESC
-        LIMIT 50
-      `).all(),
-      
-      // Today's stats
-      today: db.prepare(`
-        SELECT 
-          COUNT(DISTINCT user_id) as visitors,
-          COUNT(*) as events,
-          COUNT(CASE WHEN event_type = 'puzzle_accessed' THEN 1 END) as puzzleViews
-        FROM analytics
-        WHERE DATE(timestamp) = DATE('now')
-      `).get()
-    };
-    
-    res.json(stats);
+    const expectedVersion = versionsFromIfMatch(req.get('If-Match'));
+    const current = puzzleStore.get(date, level);
+    
+    if (!current) {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
+    }
+    
+    // PATCH replaces only the top-level fields it was given
+    const updated = merge ? { ...current.puzzle, ...puzzle } : puzzle;
+    
+    const validation = validatePuzzleWords(updated);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid puzzle', details: validation.errors });
+    }
+    
+    // Without If-Match, a PATCH still must not land on a newer row than the one it merged with
+    const result = puzzleStore.update(date, level, updated, {
+      expectedVersion: expectedVersion || (merge ? [current.version] : null),
+      changedBy: changedBy(req)
+    });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
+    }
+    
+    if (result.status === 'conflict') {
+      return conflictResponse(res, result.current);
+    }
+    
+    res.set('ETag', toETag(result.record.version)).json({
+      message: 'Puzzle updated successfully',
+      ...result.record
+    });
     
   } catch (error) {
-    console.error('Analytics stats error:', error);
-    res.status(500).json({ error: 'Failed to get analytics stats' });
+    console.error('Error updating puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
+
+app.put('/api/puzzle/:date/:level', requireScope('puzzles:write'), updatePuzzleRoute(false));
+app.patch('/api/puzzle/:date/:level', requireScope('puzzles:write'), updatePuzzleRoute(true));
+
+// Delete one level of a puzzle
+app.delete('/api/puzzle/:date/:level', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const result = puzzleStore.remove(date, level, {
+      expectedVersion: versionsFromIfMatch(req.get('If-Match')),
+      changedBy: changedBy(req)
+    });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    
+    if (result.status === 'conflict') {
+      return conflictResponse(res, result.current);
+    }
+    
+    res.json({ message: 'Puzzle deleted successfully', date, level });
+    
+  } catch (error) {
+    console.error('Error deleting puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// REVISION HISTORY ROUTES
+
+// List the revisions of a puzzle, newest first
+app.get('/api/puzzle/:date/:level/revisions', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const revisions = puzzleStore.listRevisions(date, level);
+    res.json({ date, level, revisions, count: revisions.length });
+    
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Field-level diff between two revisions: ?from=<id>&to=<id>. Without `to`,
+// compares against the puzzle as it is now.
+app.get('/api/puzzle/:date/:level/revisions/diff', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const belongsHere = (revision) => revision && revision.date === date && revision.level === level;
+    
+    const from = puzzleStore.getRevision(parseInt(req.query.from, 10));
+    if (!belongsHere(from)) {
+      return res.status(404).json({ error: 'Revision given in from was not found for this puzzle' });
+    }
+    
+    let to;
+    if (req.query.to !== undefined) {
+      to = puzzleStore.getRevision(parseInt(req.query.to, 10));
+      if (!belongsHere(to)) {
+        return res.status(404).json({ error: 'Revision given in to was not found for this puzzle' });
+      }
+    }
+    
+    const current = puzzleStore.get(date, level);
+    const after = to ? to.puzzle : (current ? current.puzzle : null);
+    
+    res.json({
+      date,
+      level,
+      from: from.id,
+      to: to ? to.id : 'current',
+      changes: diffPuzzles(from.puzzle, after)
+    });
+    
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single revision with the puzzle data before and after the change
+app.get('/api/puzzle/:date/:level/revisions/:id', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    const revision = puzzleStore.getRevision(parseInt(req.params.id, 10));
+    
+    if (!revision || revision.date !== date || revision.level !== level) {
+      return res.status(404).json({ error: 'Revision not found for this puzzle' });
+    }
+    
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    res.json(revision);
+    
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Put the puzzle back to how it was in an earlier revision (itself recorded
+// as a new revision, so a restore can be undone too)
+app.post('/api/puzzle/:date/:level/revisions/:id/restore', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const result = puzzleStore.restore(date, level, parseInt(req.params.id, 10), {
+      expectedVersion: versionsFromIfMatch(req.get('If-Match')),
+      changedBy: changedBy(req)
+    });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Revision not found for this puzzle' });
+    }
+    
+    if (result.status === 'conflict') {
+      return conflictResponse(res, result.current);
+    }
+    
+    if (result.record) {
+      res.set('ETag', toETag(result.record.version));
+    }
+    
+    res.json({
+      message: `Revision ${req.params.id} restored`,
+      date,
+      level,
+      status: result.status,
+      record: result.record
+    });
+    
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List bulk import batches
+app.get('/api/imports', requireScope('puzzles:write'), (req, res) => {
+  try {
+    res.json({ batches: puzzleStore.listBatches() });
+  } catch (error) {
+    console.error('Error listing import batches:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Undo every change made by one bulk import
+app.post('/api/imports/:id/rollback', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const result = puzzleStore.rollbackBatch(parseInt(req.params.id, 10), { changedBy: changedBy(req) });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+    
+    if (result.status === 'already_rolled_back') {
+      return res.status(409).json({ error: 'Import batch has already been rolled back', batch: result.batch });
+    }
+    
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        error: 'Some puzzles from this import have been edited since',
+        message: 'Restore or revert those puzzles individually first',
+        puzzles: result.puzzles
+      });
+    }
+    
+    res.json({ message: 'Import batch rolled back', batch: result.batch, puzzles: result.puzzles });
+    
+  } catch (error) {
+    console.error('Error rolling back import batch:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// SCHEDULING
+
+// Which dates from..to have puzzles (default: four weeks from today), with
+// gaps, solution words repeated within ?window= days, and how far the
+// evergreen pool would go towards the gaps still to come. ?level= limits it
+// to one level.
+app.get('/api/calendar', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const today = releaseDate();
+    
+    const { filters, error } = parsePuzzleFilters(req.query, { allowed: ['from', 'to', 'level'] });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const from = filters.from || today;
+    const to = filters.to || addDays(from, DEFAULT_CALENDAR_DAYS - 1);
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (daysBetween(from, to) >= MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `The calendar covers at most ${MAX_CALENDAR_DAYS} days` });
+    }
+    
+    const windowDays = req.query.window === undefined ? DUPLICATE_WINDOW_DAYS : Number(req.query.window);
+    if (!Number.isInteger(windowDays) || windowDays < 0 || windowDays > MAX_WINDOW_DAYS) {
+      return res.status(400).json({ error: `window must be a whole number of days from 0 to ${MAX_WINDOW_DAYS}` });
+    }
+    
+    const result = calendar.getCalendar({
+      from,
+      to,
+      today,
+      levels: filters.level ? [filters.level] : undefined,
+      windowDays
+    });
+    
+    res.json({ today, ...result, fallback: evergreenPool.coverage(result.gaps, today) });
+    
+  } catch (error) {
+    console.error('Error building calendar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Evergreen pool: unused puzzles by default, ?used=true for all of them
+app.get('/api/evergreen', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { filters, error } = parsePuzzleFilters(req.query, { allowed: ['level'] });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const puzzles = evergreenPool.list({ level: filters.level, includeUsed: req.query.used === 'true' });
+    res.json({ puzzles, count: puzzles.length, available: evergreenPool.availableCounts() });
+    
+  } catch (error) {
+    console.error('Error listing evergreen puzzles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a puzzle to the evergreen pool. Pool puzzles fill gaps from today on,
+// so reuse is checked as if the puzzle were dated today, as POST /api/puzzle
+// does; a solution already waiting in the pool counts as reuse too. Both are
+// refused unless `allowReuse: true` is sent (reuse only with
+// REUSE_POLICY=reject).
+app.post('/api/evergreen', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { level, puzzle, allowReuse = false } = req.body || {};
+    
+    if (!level || !puzzle) {
+      return res.status(400).json({ error: 'Level and puzzle data are required' });
+    }
+    
+    if (!isValidLevel(level)) {
+      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    }
+    
+    const validation = validatePuzzleWords(puzzle);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid puzzle', details: validation.errors });
+    }
+    
+    const reuse = reuseIndex.check(releaseDate(), level.toUpperCase(), puzzle);
+    const pooled = evergreenPool.sameSolution(puzzle).map(entry => ({ id: entry.id, level: entry.level }));
+    if (allowReuse !== true && pooled.length > 0) {
+      return res.status(409).json({
+        error: 'Puzzle has the same solution as one already in the evergreen pool',
+        message: 'Send allowReuse: true to add it anyway',
+        reuse,
+        pooled
+      });
+    }
+    if (allowReuse !== true && reuse.length > 0 && REUSE_POLICY === 'reject') {
+      return res.status(409).json({
+        error: 'Puzzle reuses words from nearby puzzles',
+        message: `Words may not repeat within ${REUSE_WINDOW_DAYS} days. Send allowReuse: true to add it anyway`,
+        reuse,
+        pooled
+      });
+    }
+    
+    const entry = evergreenPool.add(level.toUpperCase(), puzzle, { addedBy: changedBy(req) });
+    res.status(201).json({ message: 'Puzzle added to the evergreen pool', puzzle: entry, reuse, pooled });
+    
+  } catch (error) {
+    console.error('Error adding evergreen puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove an unused puzzle from the pool
+app.delete('/api/evergreen/:id', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const result = evergreenPool.remove(parseInt(req.params.id, 10));
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Evergreen puzzle not found' });
+    }
+    
+    if (result.status === 'used') {
+      return res.status(409).json({
+        error: 'Evergreen puzzle has already been used',
+        message: `It is the ${result.entry.level} puzzle for ${result.entry.usedDate}`
+      });
+    }
+    
+    res.json({ message: 'Evergreen puzzle removed', id: result.entry.id });
+    
+  } catch (error) {
+    console.error('Error removing evergreen puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Most reused words and anagram families (letter patterns) in the archive.
+// Filters: from, to, level, role (solution or word); limit caps each list.
+app.get('/api/reports/reuse', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { filters, error } = parsePuzzleFilters(req.query, { allowed: ['from', 'to', 'level'] });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const role = req.query.role || null;
+    if (role !== null && !['solution', 'word'].includes(role)) {
+      return res.status(400).json({ error: 'role must be solution or word' });
+    }
+    
+    const limit = req.query.limit === undefined ? DEFAULT_REPORT_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPORT_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_REPORT_SIZE}` });
+    }
+    
+    res.json({
+      ...reuseIndex.report({ ...filters, role, limit }),
+      policy: REUSE_POLICY,
+      windowDays: REUSE_WINDOW_DAYS
+    });
+    
+  } catch (error) {
+    console.error('Error building reuse report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DICTIONARY
+
+const invalidWord = (word) => (
+  /^[A-Za-z]+$/.test(word) && word.length <= MAX_WORD_LENGTH ? null : `A word is 1 to ${MAX_WORD_LENGTH} letters A-Z`
+);
+
+// Word list sizes and every change made through the API
+app.get('/api/dictionary', requireScope('puzzles:write'), (req, res) => {
+  try {
+    res.json(dictionary.summary());
+  } catch (error) {
+    console.error('Error reading dictionary:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Look up a word: whether puzzles may use it and why, how common it is and
+// how often it has been used
+app.get('/api/dictionary/:word', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { word } = req.params;
+    
+    const invalid = invalidWord(word);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    res.json({ ...dictionary.lookup(word), uses: dictionary.uses(word) });
+    
+  } catch (error) {
+    console.error('Error looking up word:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a word: { status: 'allowed' | 'blocked' } puts it on that list and
+// { frequency } (uses per million words, or null) sets how common it is
+app.put('/api/dictionary/:word', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { word } = req.params;
+    const { status, frequency } = req.body || {};
+    
+    const invalid = invalidWord(word);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    if (status === undefined && frequency === undefined) {
+      return res.status(400).json({ error: 'Send a status, a frequency or both' });
+    }
+    
+    if (status !== undefined && !STATUSES.filter(value => value !== 'removed').includes(status)) {
+      return res.status(400).json({ error: 'status must be allowed or blocked. Use DELETE to remove a word' });
+    }
+    
+    if (frequency !== undefined && frequency !== null && !(typeof frequency === 'number' && frequency >= 0 && Number.isFinite(frequency))) {
+      return res.status(400).json({ error: 'frequency must be a number of uses per million words, or null' });
+    }
+    
+    res.json(dictionary.setWord(word, { status, frequency, changedBy: changedBy(req) }));
+    
+  } catch (error) {
+    console.error('Error updating word:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a word from the dictionary, so puzzles can't use it. ?reset=true
+// instead undoes every change made here and goes back to the word lists.
+app.delete('/api/dictionary/:word', requireScope('puzzles:write'), (req, res) => {
+  try {
+    const { word } = req.params;
+    
+    const invalid = invalidWord(word);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const info = req.query.reset === 'true'
+      ? dictionary.resetWord(word)
+      : dictionary.setWord(word, { status: 'removed', changedBy: changedBy(req) });
+    
+    res.json(info);
+    
+  } catch (error) {
+    console.error('Error removing word:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PLAYERS
+
+const toPlayerResponse = (player) => ({
+  playerId: player.publicId,
+  email: player.email,
+  displayName: player.displayName,
+  createdAt: player.createdAt
+});
+
+// Start a new anonymous player. The token goes in X-Player-Token from now on.
+app.post('/api/players', requireScope('puzzles:read'), (req, res) => {
+  try {
+    const { player, token } = playerStore.createPlayer();
+    res.status(201).json({ ...toPlayerResponse(player), token });
+    
+  } catch (error) {
+    console.error('Error creating player:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/players/me', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  res.json(toPlayerResponse(req.player));
+});
+
+// Set or clear (null) the name shown on leaderboards
+app.patch('/api/players/me', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { displayName } = req.body || {};
+    
+    if (displayName !== null && (typeof displayName !== 'string' || !/^[\p{L}\p{N} _.'-]{1,24}$/u.test(displayName.trim()))) {
+      return res.status(400).json({
+        error: 'displayName must be 1-24 letters, digits, spaces or _ . \' -, or null'
+      });
+    }
+    
+    const player = playerStore.setDisplayName(req.player.id, displayName === null ? null : displayName.trim());
+    res.json(toPlayerResponse(player));
+    
+  } catch (error) {
+    console.error('Error updating player:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Email a sign-in link. Opening it on any device signs that device in as the
+// same player.
+app.post('/api/players/me/login-link', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    
+    const token = playerStore.requestLogin(req.player, email);
+    const link = `${PLAYER_LOGIN_URL}?token=${encodeURIComponent(token)}`;
+    
+    sendMail({
+      to: email,
+      subject: 'Sign in to GramGrid',
+      text: `Open this link to sign in and keep your puzzles in sync:\n\n${link}\n\nThe link works once and expires in ${LOGIN_LINK_TTL_MINUTES} minutes.`
+    });
+    
+    res.status(202).json({ message: 'Sign-in link sent', expiresInMinutes: LOGIN_LINK_TTL_MINUTES });
+    
+  } catch (error) {
+    console.error('Error sending sign-in link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange the token from a sign-in link for a player token
+app.post('/api/players/login', requireScope('puzzles:read'), (req, res) => {
+  try {
+    const { token } = req.body || {};
+    
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+    
+    const result = playerStore.completeLogin(token);
+    
+    if (result.status === 'invalid') {
+      return res.status(400).json({ error: 'Sign-in link is invalid or has already been used' });
+    }
+    
+    if (result.status === 'expired') {
+      return res.status(400).json({ error: 'Sign-in link has expired', message: 'Request a new link' });
+    }
+    
+    res.json({
+      ...toPlayerResponse(result.player),
+      token: result.token,
+      mergedProgress: result.merged
+    });
+    
+  } catch (error) {
+    console.error('Error completing sign-in:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/players/me/progress', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const progress = playerStore.listProgress(req.player.id);
+    res.json({ progress, count: progress.length });
+    
+  } catch (error) {
+    console.error('Error fetching progress:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/players/me/progress/:date/:level', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const progress = playerStore.getProgress(req.player.id, date, level);
+    
+    if (!progress) {
+      return res.status(404).json({ error: 'No saved progress for this puzzle' });
+    }
+    
+    res.json(progress);
+    
+  } catch (error) {
+    console.error('Error fetching progress:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a partial grid, hints used and time spent on a puzzle
+app.put('/api/players/me/progress/:date/:level', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    const { grid, hintsUsed = 0, elapsedSeconds = 0 } = req.body || {};
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const cells = normalizeGrid(grid);
+    if (!cells) {
+      return res.status(400).json({ error: 'Grid must have 9 cells, each a letter or empty (null, "" or ".")' });
+    }
+    
+    if (!Number.isInteger(hintsUsed) || hintsUsed < 0 || hintsUsed > MAX_HINTS) {
+      return res.status(400).json({ error: `hintsUsed must be a whole number from 0 to ${MAX_HINTS}` });
+    }
+    
+    if (!Number.isInteger(elapsedSeconds) || elapsedSeconds < 0) {
+      return res.status(400).json({ error: 'elapsedSeconds must be a whole number of seconds' });
+    }
+    
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    if (!findPuzzle(date, level)) {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
+    }
+    
+    startPuzzle(req, date, level);
+    res.json(playerStore.saveProgress(req.player.id, date, level, { grid: cells, hintsUsed, elapsedSeconds }));
+    
+  } catch (error) {
+    console.error('Error saving progress:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a completed puzzle. The finished grid is checked against the puzzle
+// before the solve counts, and only the first solve of each puzzle counts.
+// Attempts are counted from the full grids the player sent to /check, and the
+// time and hints from what the server saw (see solves.js), never the client.
+app.post('/api/players/me/solves/:date/:level', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    const { grid } = req.body || {};
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const cells = normalizeGrid(grid);
+    if (!cells) {
+      return res.status(400).json({ error: 'The finished grid is required: 9 letters as an array or string' });
+    }
+    
+    if (isEmbargoed(req, date)) {
+      return embargoResponse(res);
+    }
+    
+    const result = findPuzzle(date, level);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Puzzle not found for this date and level' });
+    }
+    
+    if (!isSolution(JSON.parse(result.puzzle_data), cells)) {
+      return res.status(400).json({ error: 'Grid does not solve the puzzle' });
+    }
+    
+    const solved = solveStore.recordSolve(req.player.id, date, level, {
+      onReleaseDay: date === releaseDate()
+    });
+    
+    if (solved.status === 'exists') {
+      return res.status(409).json({ error: 'Puzzle already solved', solve: solved.solve });
+    }
+    
+    if (solved.status === 'not_started') {
+      return res.status(409).json({ error: 'Puzzle was never opened by this player; fetch it with the X-Player-Token header first' });
+    }
+    
+    const { elapsedSeconds, hintsUsed, attempts } = solved.solve;
+    trackEvent('puzzle_solved', req, { date, level }, { elapsedSeconds, hintsUsed, attempts });
+    
+    res.status(201).json(solved.solve);
+    
+  } catch (error) {
+    console.error('Error recording solve:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Share a solve: the emoji text block plus public page and image links
+app.get('/api/players/me/solves/:date/:level/share', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { date } = req.params;
+    const level = req.params.level.toUpperCase();
+    
+    const invalid = invalidDateOrLevel(date, level);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const shareId = solveStore.shareSolve(req.player.id, date, level);
+    
+    if (!shareId) {
+      return res.status(404).json({ error: 'You have not solved this puzzle' });
+    }
+    
+    const solve = solveStore.getSolve(req.player.id, date, level);
+    const urls = shareUrls(shareId);
+    
+    trackEvent('result_shared', req, { date, level });
+    
+    res.json({
+      shareId,
+      ...urls,
+      svgUrl: `${PUBLIC_BASE_URL}/share/${shareId}.svg`,
+      text: shareText(toShare(solve), urls.url)
+    });
+    
+  } catch (error) {
+    console.error('Error sharing solve:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Solve history, newest first, optionally for one level
+app.get('/api/players/me/solves', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { level } = req.query;
+    
+    if (level !== undefined && !isValidLevel(level)) {
+      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    }
+    
+    const solves = solveStore.listSolves(req.player.id, level ? level.toUpperCase() : null);
+    res.json({ solves, count: solves.length });
+    
+  } catch (error) {
+    console.error('Error fetching solves:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Streaks, attempts histogram and solve times for each level
+app.get('/api/players/me/stats', requireScope('puzzles:read'), requirePlayer, (req, res) => {
+  try {
+    const { level } = req.query;
+    
+    if (level !== undefined && !isValidLevel(level)) {
+      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    }
+    
+    const today = releaseDate();
+    const levels = solveStore.getStats(req.player.id, today, level ? [level.toUpperCase()] : undefined);
+    
+    res.json({ today, levels });
+    
+  } catch (error) {
+    console.error('Error fetching player stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// LEADERBOARDS
+
+// Rankings for one level over a day, the week ending on a date, or all time.
+// ?around=me (with a player token) returns the page around the caller's rank.
+app.get('/api/leaderboards/:level/:period', requireScope('puzzles:read'), (req, res) => {
+  try {
+    const level = req.params.level.toUpperCase();
+    const { period } = req.params;
+    const date = req.query.date || releaseDate();
+    const limit = parsePageSize(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const around = req.query.around === 'me';
+    
+    if (!isValidLevel(level)) {
+      return res.status(400).json({ error: 'Invalid level. Use CL (Classic) or CH (Challenge)' });
+    }
+    
+    if (!PERIODS.includes(period)) {
+      return res.status(400).json({ error: `Period must be one of: ${PERIODS.join(', ')}` });
+    }
+    
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    
+    if (limit === null || limit > MAX_BOARD_SIZE) {
+      return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_BOARD_SIZE}` });
+    }
+    
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a whole number of at least 0' });
+    }
+    
+    if (around && !req.player) {
+      return res.status(401).json({
+        error: 'Player token required',
+        message: 'around=me needs the X-Player-Token header'
+      });
+    }
+    
+    const board = leaderboards.getBoard({
+      level,
+      period,
+      date,
+      limit: req.query.limit === undefined ? undefined : limit,
+      offset,
+      playerId: req.player ? req.player.id : null,
+      around
+    });
+    
+    res.json({ ...board, hintPenaltySeconds: HINT_PENALTY_SECONDS });
+    
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// NEW ANALYTICS ROUTES
+
+// Track events from the game client. Each must match its type's schema in
+// analytics-events.js.
+app.post('/api/analytics/event', requireScope('analytics:write'), (req, res) => {
+  try {
+    const result = trackClientEvent(req, req.body || {}, new Date());
+    if (result.status === 'invalid') {
+      return res.status(400).json({ error: 'Invalid event', details: result.errors });
+    }
+    
+    res.json({ success: true, duplicate: result.status === 'duplicate' });
+    
+  } catch (error) {
+    console.error('Analytics event error:', error);
+    res.status(500).json({ error: 'Failed to track event' });
+  }
+});
+
+// Track up to MAX_BATCH_EVENTS client events at once, e.g. ones queued while
+// offline. Valid events are kept even if others in the batch are not; the
+// response lists the rejected ones by position, and events whose eventId was
+// already received count as duplicates, so a batch can be resent safely.
+app.post('/api/analytics/events', requireScope('analytics:write'), (req, res) => {
+  try {
+    const { events } = req.body || {};
+    
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: 'events must be a non-empty array' });
+    }
+    if (events.length > MAX_BATCH_EVENTS) {
+      return res.status(400).json({ error: `Send at most ${MAX_BATCH_EVENTS} events at once` });
+    }
+    
+    const now = new Date();
+    const summary = { accepted: 0, duplicates: 0, rejected: [] };
+    
+    events.forEach((event, index) => {
+      const result = trackClientEvent(req, event && typeof event === 'object' ? event : {}, now);
+      if (result.status === 'invalid') {
+        summary.rejected.push({ index, errors: result.errors });
+      } else if (result.status === 'duplicate') {
+        summary.duplicates++;
+      } else {
+        summary.accepted++;
+      }
+    });
+    
+    res.json(summary);
+    
+  } catch (error) {
+    console.error('Analytics batch error:', error);
+    res.status(500).json({ error: 'Failed to track events' });
+  }
+});
+
+// Erase every analytics event the calling player sent with their token. Events
+// sent without one are only an IP address and browser, which anyone can
+// claim (X-Forwarded-For included) and people behind one router share, so
+// nobody can erase those as their own.
+app.delete('/api/analytics/me', requireScope('analytics:write'), requirePlayer, (req, res) => {
+  try {
+    analyticsBuffer.flush();
+    res.json({ deleted: analyticsPrivacy.erase([playerIdentity(req.player.publicId)]) });
+    
+  } catch (error) {
+    console.error('Analytics erasure error:', error);
+    res.status(500).json({ error: 'Failed to erase events' });
+  }
+});
+
+// Erase a player's analytics events on their behalf, e.g. for an erasure
+// request sent by email. playerId is the one GET /api/players/me shows. Needs
+// analytics:read, which the game client's key doesn't have.
+app.delete('/api/analytics/players/:playerId', requireScope('analytics:read'), (req, res) => {
+  try {
+    const { playerId } = req.params;
+    
+    analyticsBuffer.flush();
+    res.json({ playerId, deleted: analyticsPrivacy.erase([playerIdentity(playerId)]) });
+    
+  } catch (error) {
+    console.error('Analytics erasure error:', error);
+    res.status(500).json({ error: 'Failed to erase events' });
+  }
+});
+
+// What analytics keep and for how long
+app.get('/api/analytics/privacy', requireScope('analytics:read'), (req, res) => {
+  try {
+    res.json(analyticsPrivacy.settings());
+  } catch (error) {
+    console.error('Analytics settings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Per-puzzle engagement: completion rate, median solve time, hint usage and
+// drop-off for each puzzle dated from..to (default: the last
+// DEFAULT_REPORT_DAYS days), split by level, with totals per level
+app.get('/api/analytics/puzzles', requireScope('analytics:read'), (req, res) => {
+  try {
+    const { filters, error } = parsePuzzleFilters(req.query, { allowed: ['from', 'to', 'level'] });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const to = filters.to || releaseDate();
+    const from = filters.from || addDays(to, -(DEFAULT_REPORT_DAYS - 1));
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (daysBetween(from, to) >= MAX_REPORT_DAYS) {
+      return res.status(400).json({ error: `Reports cover at most ${MAX_REPORT_DAYS} days` });
+    }
+    
+    res.json(engagementReports.puzzleReport({ from, to, level: filters.level || null }));
+    
+  } catch (error) {
+    console.error('Engagement report error:', error);
+    res.status(500).json({ error: 'Failed to build engagement report' });
+  }
+});
+
+// from, to and level for the analytics stats, dashboard and export: UTC days
+// of events, by default the last DEFAULT_STATS_DAYS. Returns { range } or { error }.
+const parseAnalyticsRange = (query) => {
+  const { filters, error } = parsePuzzleFilters(query, { allowed: ['from', 'to', 'level'] });
+  if (error) return { error };
+  
+  const to = filters.to || new Date().toISOString().split('T')[0];
+  const from = filters.from || addDays(to, -(DEFAULT_STATS_DAYS - 1));
+  if (from > to) return { error: 'from must not be after to' };
+  
+  return { range: { from, to, level: filters.level || null } };
+};
+
+// Analytics dashboard data for events from..to, optionally only those about
+// one level's puzzles. Read from the rollups and cached, so it doesn't hold
+// up puzzle requests.
+app.get('/api/analytics/stats', requireScope('analytics:read'), (req, res) => {
+  try {
+    const { range, error } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    res.json(analyticsRollups.stats(range));
+    
+  } catch (error) {
+    console.error('Analytics stats error:', error);
+    res.status(500).json({ error: 'Failed to get analytics stats' });
+  }
+});
+
+// The stats and engagement report for a range as an HTML page, for opening
+// in a browser (which asks for the API key; see auth.js)
+app.get('/api/analytics/dashboard', requireScope('analytics:read'), (req, res) => {
+  try {
+    const { range, error } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (daysBetween(range.from, range.to) >= MAX_REPORT_DAYS) {
+      return res.status(400).json({ error: `The dashboard covers at most ${MAX_REPORT_DAYS} days` });
+    }
+    
+    res.type('html').send(renderDashboard({
+      ...range,
+      stats: analyticsRollups.stats(range),
+      engagement: engagementReports.puzzleReport(range)
+    }));
+    
+  } catch (error) {
+    console.error('Analytics dashboard error:', error);
+    res.status(500).json({ error: 'Failed to build analytics dashboard' });
+  }
+});
+
+// Download analytics for a range as csv (default) or ndjson. source is the
+// raw events (default) or a rollup: hourly, visitors, daily or puzzles (see
+// analytics-export.js).
+app.get('/api/analytics/export', requireScope('analytics:read'), (req, res) => {
+  try {
+    const source = req.query.source || 'events';
+    const format = (req.query.format || 'csv').toLowerCase();
+    
+    if (!EXPORT_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${EXPORT_SOURCES.join(', ')}` });
+    }
+    if (!ANALYTICS_EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(ANALYTICS_EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    const { range, error } = parseAnalyticsRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Raw events include what is still buffered; rollups are as of their last update
+    if (source === 'events') analyticsBuffer.flush();
+    
+    const name = ['gramgrid-analytics', source, range.level, range.from, range.to].filter(Boolean).join('-');
+    
+    res.set({
+      'Content-Type': ANALYTICS_EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${name}.${ANALYTICS_EXPORT_FORMATS[format].extension}"`
+    });
+    
+    pipeline(Readable.from(exportAnalytics(db, source, range, format)), res, (error) => {
+      if (error) console.error('Error exporting analytics:', error);
+    });
+    
+  } catch (error) {
+    console.error('Error exporting analytics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -489,12 +1908,42 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+// Events are counted into the rollups in the background, and old ones are
+// deleted once counted (see analytics-rollups.js and analytics-privacy.js)
+const updateAnalyticsRollups = () => {
+  try {
+    analyticsRollups.update();
+  } catch (error) {
+    console.error('Analytics rollup error:', error);
+  }
+};
+
+const applyAnalyticsRetention = () => {
+  try {
+    analyticsRollups.update();
+    const { mode, before, deleted } = analyticsPrivacy.applyRetention();
+    if (deleted > 0) {
+      console.log(`Analytics retention: deleted ${deleted} events from before ${before}${mode === 'aggregate' ? ', keeping their counts' : ''}`);
+    }
+  } catch (error) {
+    console.error('Analytics retention error:', error);
+  }
+};
+
+applyAnalyticsRetention();
+setInterval(updateAnalyticsRollups, ANALYTICS_ROLLUP_INTERVAL_SECONDS * 1000).unref();
+setInterval(applyAnalyticsRetention, RETENTION_INTERVAL_MS).unref();
+
+// Graceful shutdown: write any buffered analytics before the database closes
+const shutdown = () => {
   console.log('\nShutting down gracefully...');
+  analyticsBuffer.stop();
   db.close();
   process.exit(0);
-});
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start server
 app.listen(PORT, () => {
@@ -502,8 +1951,14 @@ app.listen(PORT, () => {
   console.log(`📖 Health check: http://localhost:${PORT}/health`);
   console.log(`🧩 Today's puzzle: http://localhost:${PORT}/api/puzzle/today?level=CL`);
   console.log(`📅 Week puzzles: http://localhost:${PORT}/api/puzzles/week?level=CL`);
-  console.log(`📊 Analytics: http://localhost:${PORT}/api/analytics/stats`);
-  console.log(`API Key authentication is ${process.env.API_KEY ? 'enabled' : 'disabled'}`);
+  console.log(`📊 Analytics: http://localhost:${PORT}/api/analytics/dashboard`);
+  console.log(`API keys: ${db.prepare('SELECT COUNT(*) as count FROM api_keys WHERE revoked_at IS NULL').get().count} in the database${process.env.API_KEY ? ', plus API_KEY from the environment' : ''}`);
+  const pool = evergreenPool.availableCounts();
+  console.log(`Missing days: fallback policy ${FALLBACK_POLICY}, ${pool.CL} CL and ${pool.CH} CH evergreen puzzles in the pool`);
+  const privacy = analyticsPrivacy.settings();
+  console.log(`Analytics: IPs ${privacy.ipMode === 'none' ? 'not stored' : 'truncated'}, events kept ${privacy.retentionDays} days then ${privacy.retentionMode === 'aggregate' ? 'aggregated' : 'purged'}`);
+  const words = dictionary.summary();
+  console.log(`Dictionary: ${words.enforcing ? `${words.allowed} allowed words` : 'no allowed list, any word accepted'}, ${words.blocked} blocked, ${words.overrides.length} changed through the API`);
 
 
   console.log(`Server running on port ${PORT}`);
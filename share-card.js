@@ -0,0 +1,269 @@
+// share-card.js
+// Spoiler-free share results for a solve: an emoji text block and an image
+// card (SVG or PNG). Both show only which rows and columns hit their targets
+// on each attempt, never letters.
+//
+// The card is described once as rectangles and text, then drawn either as SVG
+// or rasterised to PNG with a built-in 5x7 pixel font, so no image library or
+// outside service is needed.
+
+const zlib = require('zlib');
+
+const LEVEL_NAMES = { CL: 'Classic', CH: 'Challenge' };
+
+const HIT = '🟩';
+const MISS = '⬜';
+
+// Cards show at most this many attempts (the latest ones)
+const MAX_CARD_ATTEMPTS = 6;
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+const COLORS = {
+  background: '#111827',
+  text: '#f9fafb',
+  muted: '#9ca3af',
+  hit: '#22c55e',
+  miss: '#4b5563'
+};
+
+const formatDuration = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// `share` is { date, level, elapsedSeconds, hintsUsed, attempts: [{ rows, cols }] }
+const shareText = (share, url = null) => {
+  const squares = (hits) => hits.map(hit => (hit ? HIT : MISS)).join('');
+
+  return [
+    `GramGrid ${share.date} ${LEVEL_NAMES[share.level]}`,
+    `${formatDuration(share.elapsedSeconds)} · ${plural(share.attempts.length, 'attempt')} · ${plural(share.hintsUsed, 'hint')}`,
+    '',
+    ...share.attempts.map(attempt => `${squares(attempt.rows)} ${squares(attempt.cols)}`),
+    ...(url ? ['', url] : [])
+  ].join('\n');
+};
+
+// The card as a list of { type: 'rect', x, y, width, height, color } and
+// { type: 'text', x, y, size, color, text } items, y being the top edge
+const cardLayout = (share) => {
+  const items = [{ type: 'rect', x: 0, y: 0, width: CARD_WIDTH, height: CARD_HEIGHT, color: COLORS.background }];
+  const text = (x, y, size, color, value) => items.push({ type: 'text', x, y, size, color, text: value });
+
+  text(80, 60, 56, COLORS.text, 'GRAMGRID');
+  text(80, 140, 28, COLORS.muted, `${share.date}  ${LEVEL_NAMES[share.level].toUpperCase()}`);
+
+  const square = 44;
+  const step = 56;
+  const colsX = 80 + 3 * step + 40;
+
+  text(80, 210, 21, COLORS.muted, 'ROWS');
+  text(colsX, 210, 21, COLORS.muted, 'COLS');
+
+  share.attempts.slice(-MAX_CARD_ATTEMPTS).forEach((attempt, line) => {
+    const y = 250 + line * step;
+    const cells = [
+      ...attempt.rows.map((hit, i) => ({ x: 80 + i * step, hit })),
+      ...attempt.cols.map((hit, i) => ({ x: colsX + i * step, hit }))
+    ];
+    for (const cell of cells) {
+      items.push({ type: 'rect', x: cell.x, y, width: square, height: square, color: cell.hit ? COLORS.hit : COLORS.miss });
+    }
+  });
+
+  const stats = [
+    ['TIME', formatDuration(share.elapsedSeconds)],
+    ['HINTS', String(share.hintsUsed)],
+    ['ATTEMPTS', String(share.attempts.length)]
+  ];
+  stats.forEach(([label, value], i) => {
+    text(720, 210 + i * 130, 21, COLORS.muted, label);
+    text(720, 245 + i * 130, 56, COLORS.text, value);
+  });
+
+  return items;
+};
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, c => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]
+));
+
+const renderSvg = (share) => {
+  const body = cardLayout(share).map(item => (item.type === 'rect'
+    ? `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="${item.width < CARD_WIDTH ? 6 : 0}" fill="${item.color}"/>`
+    : `<text x="${item.x}" y="${item.y}" font-size="${item.size}" fill="${item.color}" dominant-baseline="hanging">${escapeXml(item.text)}</text>`
+  ));
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="Menlo, Consolas, monospace" font-weight="bold">`,
+    ...body.map(line => `  ${line}`),
+    '</svg>'
+  ].join('\n');
+};
+
+// 5x7 glyphs, one number per row with the leftmost pixel as bit 4. Characters
+// without a glyph are drawn as spaces.
+const FONT = {
+  'A': [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  'B': [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  'C': [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  'D': [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+  'E': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  'F': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  'G': [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  'H': [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  'I': [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  'M': [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  'O': [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  'P': [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  'Q': [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  'R': [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  'S': [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  'T': [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  'X': [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  'Y': [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04],
+  'Z': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  '0': [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  '1': [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  '2': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  '3': [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  '4': [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  '5': [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  '6': [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  '7': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  '9': [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  ':': [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00],
+  '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '+': [0x00, 0x04, 0x04, 0x1f, 0x04, 0x04, 0x00]
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const renderPng = (share) => {
+  // One filter byte (0, none) at the start of every row, then RGB pixels
+  const rowLength = CARD_WIDTH * 3 + 1;
+  const pixels = Buffer.alloc(rowLength * CARD_HEIGHT);
+
+  const fill = (x, y, width, height, rgb) => {
+    for (let py = Math.max(0, y); py < Math.min(CARD_HEIGHT, y + height); py++) {
+      for (let px = Math.max(0, x); px < Math.min(CARD_WIDTH, x + width); px++) {
+        pixels.set(rgb, py * rowLength + 1 + px * 3);
+      }
+    }
+  };
+
+  for (const item of cardLayout(share)) {
+    const rgb = hexToRgb(item.color);
+
+    if (item.type === 'rect') {
+      fill(item.x, item.y, item.width, item.height, rgb);
+      continue;
+    }
+
+    const scale = Math.max(1, Math.round(item.size / 7));
+    [...item.text].forEach((char, i) => {
+      const glyph = FONT[char] || [];
+      glyph.forEach((bits, row) => {
+        for (let col = 0; col < 5; col++) {
+          if (bits & (0x10 >> col)) {
+            fill(item.x + (i * 6 + col) * scale, item.y + row * scale, scale, scale, rgb);
+          }
+        }
+      });
+    });
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(CARD_WIDTH, 0);
+  header.writeUInt32BE(CARD_HEIGHT, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// Public page for a shared result: the card, the text block, and Open Graph
+// tags so chat apps show the PNG as a preview
+const renderSharePage = (share, { url, imageUrl }) => {
+  const title = `GramGrid ${share.date} ${LEVEL_NAMES[share.level]}`;
+  const who = share.displayName ? `${share.displayName} solved it` : 'Solved';
+  const summary = `${who} in ${formatDuration(share.elapsedSeconds)} with ${plural(share.hintsUsed, 'hint')}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(title)}</title>
+  <meta property="og:title" content="${escapeXml(title)}">
+  <meta property="og:description" content="${escapeXml(summary)}">
+  <meta property="og:image" content="${escapeXml(imageUrl)}">
+  <meta property="og:url" content="${escapeXml(url)}">
+  <meta name="twitter:card" content="summary_large_image">
+  <style>
+    body { margin: 0; padding: 2rem 1rem; background: ${COLORS.background}; color: ${COLORS.text}; font-family: system-ui, sans-serif; text-align: center; }
+    svg { max-width: 100%; height: auto; border-radius: 12px; }
+    pre { display: inline-block; text-align: left; font-size: 1.25rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <p>${escapeXml(summary)}</p>
+  ${renderSvg(share)}
+  <pre>${escapeXml(shareText(share))}</pre>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  LEVEL_NAMES,
+  formatDuration,
+  shareText,
+  renderSvg,
+  renderPng,
+  renderSharePage
+};
@@ -0,0 +1,250 @@
+// solves.js
+// Completed puzzles and the personal stats built on them.
+//
+// Streaks are counted per level over the dates that have a puzzle at that
+// level, so a day without a Challenge puzzle doesn't break a Challenge streak.
+// Only solves made on the puzzle's own release day (see release-clock.js)
+// count: catching up on the archive doesn't extend a streak. Today's puzzle
+// not being solved yet doesn't end the current streak until the day is over.
+//
+// Attempts are the full grids a player checked before solving. A solve keeps
+// which rows and columns hit on each one, for share cards.
+//
+// A solve's time and hints are the server's own figures: the time from when
+// the player first opened the puzzle (fetched it, saved progress, checked a
+// grid or asked for a hint) to the solve, and the most hints they were given.
+// Hints fetched without the player's token can't be tied to them.
+//
+// Anyone can read a released puzzle without a token too, so the clock can be
+// dodged by working the puzzle out first and only then opening it as the
+// player. Solves quicker than MIN_SOLVE_SECONDS are kept but not verified,
+// which leaves them off the leaderboards (see leaderboards.js).
+
+const crypto = require('crypto');
+const { LEVELS } = require('./puzzle-validator');
+
+const MIN_SOLVE_SECONDS = parseInt(process.env.MIN_SOLVE_SECONDS || '15', 10);
+
+if (!Number.isInteger(MIN_SOLVE_SECONDS) || MIN_SOLVE_SECONDS < 0) {
+  throw new Error(`MIN_SOLVE_SECONDS must be a whole number of seconds, got ${process.env.MIN_SOLVE_SECONDS}`);
+}
+
+// Attempts of this many or more share the last histogram bucket
+const DISTRIBUTION_BUCKETS = 6;
+
+const toSolve = (row) => row && {
+  date: row.puzzle_date,
+  level: row.puzzle_level,
+  elapsedSeconds: row.elapsed_seconds,
+  hintsUsed: row.hints_used,
+  attempts: row.attempts,
+  onReleaseDay: row.on_release_day === 1,
+  verified: row.verified === 1,
+  attemptResults: row.attempt_results ? JSON.parse(row.attempt_results) : [],
+  shareId: row.share_id,
+  solvedAt: row.solved_at
+};
+
+const allHit = (result) => [...result.rows, ...result.cols].every(Boolean);
+
+// puzzleDates: every date with a puzzle at the level up to `today`, ascending.
+// solvedDates: the Set of those dates solved on their release day.
+const computeStreaks = (puzzleDates, solvedDates, today) => {
+  let longest = 0;
+  let run = 0;
+  for (const date of puzzleDates) {
+    run = solvedDates.has(date) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  for (let i = puzzleDates.length - 1; i >= 0; i--) {
+    const date = puzzleDates[i];
+    if (solvedDates.has(date)) {
+      current++;
+    } else if (date !== today) {
+      break;
+    }
+  }
+
+  return { current, longest };
+};
+
+const distribution = (attempts) => {
+  const buckets = Array.from({ length: DISTRIBUTION_BUCKETS }, (_, i) => ({
+    attempts: i + 1 === DISTRIBUTION_BUCKETS ? `${DISTRIBUTION_BUCKETS}+` : String(i + 1),
+    count: 0
+  }));
+
+  for (const count of attempts) {
+    buckets[Math.min(count, DISTRIBUTION_BUCKETS) - 1].count++;
+  }
+  return buckets;
+};
+
+const createSolveStore = (db) => {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO solves
+        (player_id, puzzle_date, puzzle_level, elapsed_seconds, hints_used, attempts, on_release_day, verified, attempt_results)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (player_id, puzzle_date, puzzle_level) DO NOTHING
+    `),
+    get: db.prepare('SELECT * FROM solves WHERE player_id = ? AND puzzle_date = ? AND puzzle_level = ?'),
+    getByShareId: db.prepare(`
+      SELECT s.*, p.display_name FROM solves s
+      JOIN players p ON p.id = s.player_id
+      WHERE s.share_id = ?
+    `),
+    setShareId: db.prepare('UPDATE solves SET share_id = ? WHERE id = ? AND share_id IS NULL'),
+    insertAttempt: db.prepare(`
+      INSERT INTO attempts (player_id, puzzle_date, puzzle_level, row_hits, col_hits)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    startSession: db.prepare(`
+      INSERT INTO puzzle_sessions (player_id, puzzle_date, puzzle_level)
+      VALUES (?, ?, ?)
+      ON CONFLICT (player_id, puzzle_date, puzzle_level) DO NOTHING
+    `),
+    recordHints: db.prepare(`
+      INSERT INTO puzzle_sessions (player_id, puzzle_date, puzzle_level, hints_used)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (player_id, puzzle_date, puzzle_level) DO UPDATE SET
+        hints_used = MAX(hints_used, excluded.hints_used)
+    `),
+    getSession: db.prepare(`
+      SELECT hints_used, (julianday('now') - julianday(started_at)) * 86400 as elapsed
+      FROM puzzle_sessions
+      WHERE player_id = ? AND puzzle_date = ? AND puzzle_level = ?
+    `),
+    listAttempts: db.prepare(`
+      SELECT row_hits, col_hits FROM attempts
+      WHERE player_id = ? AND puzzle_date = ? AND puzzle_level = ?
+      ORDER BY id
+    `),
+    list: db.prepare(`
+      SELECT * FROM solves
+      WHERE player_id = ? AND (? IS NULL OR puzzle_level = ?)
+      ORDER BY puzzle_date DESC, puzzle_level ASC
+    `),
+    levelSolves: db.prepare('SELECT * FROM solves WHERE player_id = ? AND puzzle_level = ?'),
+    puzzleDates: db.prepare(`
+      SELECT puzzle_date FROM daily_puzzles
+      WHERE puzzle_level = ? AND puzzle_date <= ?
+      ORDER BY puzzle_date
+    `)
+  };
+
+  const getSolve = (playerId, date, level) => toSolve(statements.get.get(playerId, date, level));
+
+  // Note that the player has the puzzle open; the first time starts the clock
+  const startPuzzle = (playerId, date, level) => {
+    statements.startSession.run(playerId, date, level);
+  };
+
+  // Note that the player was given the first `count` hints
+  const recordHints = (playerId, date, level, count) => {
+    statements.recordHints.run(playerId, date, level, count);
+  };
+
+  // Record a checked full grid ({ rows, cols } hits). Ignored once the puzzle
+  // is solved.
+  const recordAttempt = (playerId, date, level, { rows, cols }) => {
+    if (statements.get.get(playerId, date, level)) return;
+    statements.insertAttempt.run(playerId, date, level, JSON.stringify(rows), JSON.stringify(cols));
+  };
+
+  // Record a solve whose grid has already been checked. The attempts are the
+  // grids checked so far, plus the solving grid unless it was the last one
+  // checked. Only the first solve of a puzzle counts: returns
+  // { status: 'exists', solve } when the player already solved it, and
+  // { status: 'not_started' } when they never opened it.
+  const recordSolve = db.transaction((playerId, date, level, { onReleaseDay }) => {
+    const existing = getSolve(playerId, date, level);
+    if (existing) return { status: 'exists', solve: existing };
+
+    const session = statements.getSession.get(playerId, date, level);
+    if (!session) return { status: 'not_started' };
+
+    const results = statements.listAttempts.all(playerId, date, level).map(row => ({
+      rows: JSON.parse(row.row_hits),
+      cols: JSON.parse(row.col_hits)
+    }));
+    if (results.length === 0 || !allHit(results[results.length - 1])) {
+      results.push({ rows: [true, true, true], cols: [true, true, true] });
+    }
+
+    const elapsedSeconds = Math.max(0, Math.round(session.elapsed));
+    statements.insert.run(
+      playerId,
+      date,
+      level,
+      elapsedSeconds,
+      session.hints_used,
+      results.length,
+      onReleaseDay ? 1 : 0,
+      elapsedSeconds >= MIN_SOLVE_SECONDS ? 1 : 0,
+      JSON.stringify(results)
+    );
+    return { status: 'created', solve: getSolve(playerId, date, level) };
+  });
+
+  // The public id for sharing a solve, created the first time it is shared.
+  // Null if the player hasn't solved the puzzle.
+  const shareSolve = (playerId, date, level) => {
+    const row = statements.get.get(playerId, date, level);
+    if (!row) return null;
+    if (row.share_id) return row.share_id;
+
+    const shareId = crypto.randomBytes(9).toString('base64url');
+    statements.setShareId.run(shareId, row.id);
+    return shareId;
+  };
+
+  // A shared solve with the player's display name, or null
+  const getShared = (shareId) => {
+    const row = statements.getByShareId.get(shareId);
+    return row ? { ...toSolve(row), displayName: row.display_name } : null;
+  };
+
+  const listSolves = (playerId, level = null) => statements.list.all(playerId, level, level).map(toSolve);
+
+  // Stats for one level as of the release date `today`
+  const levelStats = (playerId, level, today) => {
+    const solves = statements.levelSolves.all(playerId, level).map(toSolve);
+    const puzzleDates = statements.puzzleDates.all(level, today).map(row => row.puzzle_date);
+    const streakDates = new Set(solves.filter(solve => solve.onReleaseDay).map(solve => solve.date));
+    const times = solves.map(solve => solve.elapsedSeconds);
+
+    return {
+      level,
+      solved: solves.length,
+      streak: computeStreaks(puzzleDates, streakDates, today),
+      averageSeconds: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+      fastestSeconds: times.length > 0 ? Math.min(...times) : null,
+      averageHints: solves.length > 0
+        ? Math.round(solves.reduce((sum, solve) => sum + solve.hintsUsed, 0) / solves.length * 10) / 10
+        : null,
+      distribution: distribution(solves.map(solve => solve.attempts))
+    };
+  };
+
+  const getStats = (playerId, today, levels = LEVELS) => levels.map(level => levelStats(playerId, level, today));
+
+  return {
+    getSolve,
+    startPuzzle,
+    recordHints,
+    recordAttempt,
+    recordSolve,
+    shareSolve,
+    getShared,
+    listSolves,
+    getStats
+  };
+};
+
+module.exports = {
+  computeStreaks,
+  createSolveStore
+};
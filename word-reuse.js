@@ -0,0 +1,233 @@
+// word-reuse.js
+// Spotting words that come round again too soon. The word_usage table indexes
+// every solution and corner word in daily_puzzles (the puzzle store keeps it
+// up to date), and a new puzzle is compared with the puzzles dated within
+// REUSE_WINDOW_DAYS either side of it. It reuses when one of them has:
+//
+//   solution  the same solution word
+//   anagram   a different solution made of the same letters
+//   word      one of the same corner words
+//   word-set  all four of the same corner words, in any order
+//
+// REUSE_POLICY decides what POST /api/puzzle and bulk imports do about it:
+// 'warn' saves the puzzle and reports the reuse, 'reject' refuses it.
+
+const { addDays } = require('./release-clock');
+const { daysBetween } = require('./puzzle-calendar');
+
+const REUSE_POLICIES = ['warn', 'reject'];
+const REUSE_POLICY = process.env.REUSE_POLICY || 'warn';
+const REUSE_WINDOW_DAYS = parseInt(process.env.REUSE_WINDOW_DAYS || '60', 10);
+
+if (!REUSE_POLICIES.includes(REUSE_POLICY)) {
+  throw new Error(`REUSE_POLICY must be one of ${REUSE_POLICIES.join(', ')}, got ${REUSE_POLICY}`);
+}
+if (!Number.isInteger(REUSE_WINDOW_DAYS) || REUSE_WINDOW_DAYS < 0) {
+  throw new Error(`REUSE_WINDOW_DAYS must be a whole number of days, got ${process.env.REUSE_WINDOW_DAYS}`);
+}
+
+const DEFAULT_REPORT_SIZE = 25;
+const MAX_REPORT_SIZE = 200;
+
+// A word's letters in alphabetical order, the same for all its anagrams
+const letterPattern = (word) => [...word].sort().join('');
+
+// The word_usage rows for a puzzle: { role, word, pattern }. Tolerates the
+// odd shapes old revisions may have, since every write goes through here.
+const wordUsages = (puzzle) => {
+  const usages = [];
+  const solution = String((puzzle && puzzle.solution) || '').toUpperCase();
+  if (solution) usages.push({ role: 'solution', word: solution });
+
+  for (const entry of (puzzle && Array.isArray(puzzle.words)) ? puzzle.words : []) {
+    const word = String((entry && entry.word) || '').toUpperCase();
+    if (word) usages.push({ role: 'word', word });
+  }
+
+  return usages.map(usage => ({ ...usage, pattern: letterPattern(usage.word) }));
+};
+
+// Compare the puzzle for date/level with usage rows ({ date, level, role,
+// word, pattern }) of other puzzles. Returns the reuse found, nearest first,
+// as { kind, word, date, level, daysApart } (word-set has words instead).
+const compareUsages = (date, level, puzzle, others, windowDays) => {
+  const own = wordUsages(puzzle);
+  const solution = own.find(usage => usage.role === 'solution');
+  const words = new Set(own.filter(usage => usage.role === 'word').map(usage => usage.word));
+
+  const reuse = [];
+  const sharedWords = new Map();
+
+  for (const other of others) {
+    if (other.date === date && other.level === level) continue;
+
+    const daysApart = Math.abs(daysBetween(date, other.date));
+    if (daysApart > windowDays) continue;
+
+    const found = { date: other.date, level: other.level, daysApart };
+
+    if (other.role === 'solution' && solution && other.word === solution.word) {
+      reuse.push({ kind: 'solution', word: other.word, ...found });
+    } else if (other.role === 'solution' && solution && other.pattern === solution.pattern) {
+      reuse.push({ kind: 'anagram', word: other.word, ...found });
+    } else if (other.role === 'word' && words.has(other.word)) {
+      reuse.push({ kind: 'word', word: other.word, ...found });
+
+      const key = `${other.date} ${other.level}`;
+      if (!sharedWords.has(key)) sharedWords.set(key, { found, words: new Set() });
+      sharedWords.get(key).words.add(other.word);
+    }
+  }
+
+  // A puzzle with all the same words is reported once, as a word-set
+  const sameSet = new Set();
+  for (const [key, { found, words: shared }] of sharedWords) {
+    if (words.size > 0 && shared.size === words.size) {
+      sameSet.add(key);
+      reuse.push({ kind: 'word-set', words: [...shared].sort(), ...found });
+    }
+  }
+
+  return reuse
+    .filter(item => item.kind !== 'word' || !sameSet.has(`${item.date} ${item.level}`))
+    .sort((a, b) => a.daysApart - b.daysApart || a.date.localeCompare(b.date));
+};
+
+// One line describing a reuse, for CLI output and error messages
+const describeReuse = (item) => {
+  const when = `${item.date} ${item.level} (${item.daysApart} day${item.daysApart === 1 ? '' : 's'} apart)`;
+  switch (item.kind) {
+    case 'solution':
+      return `solution ${item.word} is also the solution on ${when}`;
+    case 'anagram':
+      return `solution is an anagram of ${item.word}, the solution on ${when}`;
+    case 'word-set':
+      return `words ${item.words.join(', ')} are the same four as on ${when}`;
+    default:
+      return `word ${item.word} is also used on ${when}`;
+  }
+};
+
+const toUsage = (row) => ({
+  date: row.puzzle_date,
+  level: row.puzzle_level,
+  role: row.role,
+  word: row.word,
+  pattern: row.pattern
+});
+
+const createReuseIndex = (db) => {
+  const statements = {
+    nearby: db.prepare(`
+      SELECT * FROM word_usage
+      WHERE puzzle_date BETWEEN ? AND ?
+        AND (word IN (SELECT value FROM json_each(?)) OR pattern = ?)
+    `),
+    range: db.prepare(`
+      SELECT * FROM word_usage
+      WHERE (@from IS NULL OR puzzle_date >= @from)
+        AND (@to IS NULL OR puzzle_date <= @to)
+        AND (@level IS NULL OR puzzle_level = @level)
+        AND (@role IS NULL OR role = @role)
+      ORDER BY puzzle_date, puzzle_level
+    `),
+    clear: db.prepare('DELETE FROM word_usage'),
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO word_usage (puzzle_date, puzzle_level, role, word, pattern)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    puzzles: db.prepare('SELECT puzzle_date, puzzle_level, puzzle_data FROM daily_puzzles')
+  };
+
+  // Reuse of the puzzle's words by stored puzzles. `ignore(usage)` drops rows
+  // about to be replaced and `extra` adds puzzles not stored yet, so a bulk
+  // import is checked against itself as well as the database.
+  const check = (date, level, puzzle, { windowDays = REUSE_WINDOW_DAYS, ignore = null, extra = [] } = {}) => {
+    const own = wordUsages(puzzle);
+    const solution = own.find(usage => usage.role === 'solution');
+
+    const stored = statements.nearby.all(
+      addDays(date, -windowDays),
+      addDays(date, windowDays),
+      JSON.stringify(own.map(usage => usage.word)),
+      solution ? solution.pattern : null
+    ).map(toUsage);
+
+    return compareUsages(date, level, puzzle, [...(ignore ? stored.filter(usage => !ignore(usage)) : stored), ...extra], windowDays);
+  };
+
+  // The words and anagram families used most often between from and to.
+  // Words come with each use and the shortest gap between two puzzles using
+  // them; patterns are only listed when different words in more than one
+  // puzzle share them.
+  const report = ({ from = null, to = null, level = null, role = null, limit = DEFAULT_REPORT_SIZE } = {}) => {
+    const usages = statements.range.all({ from, to, level, role }).map(toUsage);
+
+    const group = (key) => {
+      const groups = new Map();
+      for (const usage of usages) {
+        if (!groups.has(usage[key])) groups.set(usage[key], []);
+        groups.get(usage[key]).push(usage);
+      }
+      return [...groups.entries()];
+    };
+
+    // The dates of the distinct puzzles among some uses, in date order
+    const puzzleDates = (uses) => [...new Map(uses.map(use => [`${use.date} ${use.level}`, use.date])).values()];
+
+    const closestGap = (uses) => {
+      const dates = puzzleDates(uses);
+      return dates.slice(1).reduce((min, date, i) => Math.min(min, daysBetween(dates[i], date)), Infinity);
+    };
+
+    const byUses = (a, b) => b.uses - a.uses || a.closestGapDays - b.closestGapDays;
+
+    const reusedWords = group('word')
+      .filter(([, uses]) => uses.length > 1)
+      .map(([word, uses]) => ({
+        word,
+        uses: uses.length,
+        closestGapDays: closestGap(uses),
+        usedOn: uses.map(use => ({ date: use.date, level: use.level, role: use.role }))
+      }))
+      .sort((a, b) => byUses(a, b) || a.word.localeCompare(b.word))
+      .slice(0, limit);
+
+    const reusedPatterns = group('pattern')
+      .map(([pattern, uses]) => ({ pattern, uses, words: [...new Set(uses.map(use => use.word))].sort() }))
+      .filter(family => puzzleDates(family.uses).length > 1 && family.words.length > 1)
+      .map(family => ({
+        pattern: family.pattern,
+        uses: family.uses.length,
+        words: family.words,
+        closestGapDays: closestGap(family.uses)
+      }))
+      .sort((a, b) => byUses(a, b) || a.pattern.localeCompare(b.pattern))
+      .slice(0, limit);
+
+    return { from, to, level, role, words: reusedWords, patterns: reusedPatterns };
+  };
+
+  // Index every stored puzzle from scratch, for after a raw SQL restore
+  const rebuild = db.transaction(() => {
+    statements.clear.run();
+    for (const row of statements.puzzles.all()) {
+      for (const usage of wordUsages(JSON.parse(row.puzzle_data))) {
+        statements.insert.run(row.puzzle_date, row.puzzle_level, usage.role, usage.word, usage.pattern);
+      }
+    }
+  });
+
+  return { check, report, rebuild };
+};
+
+module.exports = {
+  REUSE_POLICIES,
+  REUSE_POLICY,
+  REUSE_WINDOW_DAYS,
+  DEFAULT_REPORT_SIZE,
+  MAX_REPORT_SIZE,
+  wordUsages,
+  describeReuse,
+  createReuseIndex
+};